@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Usage: ctl-models-types <models file> [--out <.d.ts file>]
+// The models file exports the model definitions, or the options that are passed to init().
+const fs = require('fs');
+const path = require('path');
+const { getTypeDeclarations } = require('../typescript');
+
+async function main(argv) {
+  const outIndex = argv.indexOf('--out');
+  const outFile = (outIndex >= 0 ? argv[outIndex + 1] : null);
+  const [modelsFile] = argv.filter((arg, i) => arg !== '--out' && (outIndex < 0 || i !== outIndex + 1));
+  if (!modelsFile || (outIndex >= 0 && !outFile)) {
+    throw new Error('Usage: ctl-models-types <models file> [--out <.d.ts file>]');
+  }
+  const exported = require(path.resolve(modelsFile));
+  const opts = (Array.isArray(exported) ? { models: exported } : exported);
+  const declarations = await getTypeDeclarations(opts);
+  if (outFile) {
+    fs.writeFileSync(outFile, declarations);
+  } else {
+    process.stdout.write(declarations);
+  }
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
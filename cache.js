@@ -0,0 +1,37 @@
+const _ = require('lodash');
+
+// An in-memory cache, which can be passed to init() as the `cache`. Other caches (like Redis) just need
+// the same async get(key), set(key, value) and del(keys) methods.
+class LruCache {
+  constructor(opts = {}) {
+    // The least recently used entries are dropped once there are more than `max`.
+    this.max = opts.max || 1000;
+    // Entries expire after `ttl` milliseconds, if given.
+    this.ttl = opts.ttl;
+    this.entries = new Map();
+  }
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt !== undefined && entry.expiresAt <= Date.now()) return undefined;
+    this.entries.set(key, entry);
+    // Values are copied, so that changing a fetched row doesn't change the cached one.
+    return _.cloneDeep(entry.value);
+  }
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value: _.cloneDeep(value),
+      expiresAt: (this.ttl ? Date.now() + this.ttl : undefined),
+    });
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+  async del(keys = []) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+}
+
+exports.LruCache = LruCache;
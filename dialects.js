@@ -0,0 +1,681 @@
+const objHash = require('object-hash');
+const _ = require('lodash');
+
+const INTEGER_SIZES = {
+  TINYINT: 1,
+  SMALLINT: 2,
+  MEDIUMINT: 3,
+  INT: 4,
+  INTEGER: 4,
+  BIGINT: 8,
+};
+const TEXT_TYPES = ['CHAR', 'VARCHAR', 'TEXT', 'ENUM'];
+
+// Splits a column type like "VARCHAR(255)" or "ENUM('a','b')" into its parts.
+function parseColumnType(columnType = '') {
+  const [, name = '', args = ''] = columnType.match(/^(\w+)\s*(?:\(([^)]*)\))?/) || [];
+  const values = [];
+  const inList = columnType.match(/^ENUM\((.*)\)|\bIN \((.*)\)\)/i);
+  if (inList) {
+    const valueRegex = /'((?:[^']|'')*)'/g;
+    let match;
+    while ((match = valueRegex.exec(inList[1] || inList[2])) !== null) {
+      values.push(match[1]);
+    }
+  }
+  return {
+    name: _.toUpper(name),
+    args: args.split(',').map(arg => parseInt(arg, 10)),
+    values: (inList ? values : null),
+  };
+}
+
+class Dialect {
+  constructor(opts = {}) {
+    this.opts = opts;
+  }
+
+  // For queries
+  escapeString(value) {
+    return `'${String(value).replace(/'/g, '\'\'')}'`;
+  }
+  formatQuery(sql) {
+    return sql;
+  }
+  async query(conn, sql, params) {
+    return conn.query(this.formatQuery(sql), params);
+  }
+  async select(conn, sql, params) {
+    return this.getRows(await this.query(conn, sql, params));
+  }
+  getRows(result) {
+    return result || [];
+  }
+  getInsertId(result) {
+    if (!result) return null;
+    return result.insertId;
+  }
+  // The gap between the IDs of the rows inserted by one statement.
+  async getInsertIdIncrement(conn) {
+    const [row] = await this.select(conn, 'SELECT @@auto_increment_increment AS increment');
+    return Number((row && row.increment) || 1);
+  }
+  // The insert ID is of the first row, and the rows of one statement get IDs that are `increment` apart.
+  getInsertIds(result, rowCount, increment = 1) {
+    const firstId = this.getInsertId(result);
+    if (firstId === null || firstId === undefined) return [];
+    return _.range(rowCount).map(i => firstId + (i * increment));
+  }
+  getAffectedRows(result) {
+    if (!result) return 0;
+    return result.affectedRows || 0;
+  }
+  getLimitClause(limit, offset) {
+    const clauses = [];
+    if (limit) clauses.push(`LIMIT ${parseInt(limit, 10)}`);
+    if (offset) clauses.push(`OFFSET ${parseInt(offset, 10)}`);
+    return clauses.join(' ');
+  }
+  // NULLs come before the other values in ascending order, and after them in descending order.
+  getNullsOrder(desc) {
+    return '';
+  }
+  getInsertSql(tableName, columns) {
+    if (columns.length === 0) {
+      return `INSERT INTO ${tableName} DEFAULT VALUES`;
+    }
+    return `
+      INSERT INTO ${tableName}
+        (${columns.join(',')})
+      VALUES
+        (${columns.map(() => '?').join(',')})
+    `;
+  }
+  getBulkInsertSql(tableName, columns, rowCount) {
+    const values = `(${columns.map(() => '?').join(',')})`;
+    return `
+      INSERT INTO ${tableName}
+        (${columns.join(',')})
+      VALUES
+        ${_.range(rowCount).map(() => values).join(',\n        ')}
+    `;
+  }
+  // The "where" condition has to match the one of the unique index.
+  // Existing rows are updated, except for the key columns and the insert only columns.
+  getUpsertSql(tableName, columns, keyColumns, where, insertOnlyColumns = [], incrementColumns = []) {
+    const updateColumns = columns.filter(column => !keyColumns.includes(column) && !insertOnlyColumns.includes(column));
+    const setters = [
+      ...updateColumns.map(column => `${column} = EXCLUDED.${column}`),
+      ...incrementColumns.map(column => `${column} = ${tableName}.${column} + 1`),
+    ];
+    return `
+      INSERT INTO ${tableName}
+        (${columns.join(',')})
+      VALUES (${columns.map(() => '?').join(',')})
+      ON CONFLICT (${keyColumns.join(',')})${where ? ` WHERE ${where}` : ''} ${setters.length > 0 ? `DO UPDATE SET
+        ${setters.join(', ')}` : 'DO NOTHING'}
+    `;
+  }
+  getDeleteSql(tableName, where) {
+    return `
+      DELETE FROM ${tableName}
+      WHERE ${where.join(' AND ')}
+    `;
+  }
+
+  // For schema
+  getTextType(maxLength) {
+    throw new Error('not_implemented_get_text_type');
+  }
+  getIdType({ autoInc, primaryKey }) {
+    throw new Error('not_implemented_get_id_type');
+  }
+  getIntegerType(size) {
+    throw new Error('not_implemented_get_integer_type');
+  }
+  getDecimalType(digits, precision) {
+    return `DECIMAL(${digits}, ${precision})`;
+  }
+  getDateType() {
+    throw new Error('not_implemented_get_date_type');
+  }
+  getJsonType() {
+    return 'TEXT';
+  }
+  getRefType() {
+    return 'BIGINT';
+  }
+  getEnumType(values, columnName) {
+    return `TEXT CHECK (${columnName} IN (${values.map(value => this.escapeString(value)).join(',')}))`;
+  }
+  getIndexName(kind, tableName, columns) {
+    return `idx_${kind}_${objHash(columns)}`;
+  }
+  // Unique indices can have a "where" condition, so that only the matching rows have to be unique.
+  getIndexDefinition(type, indexName, tableName, columns, where) {
+    throw new Error('not_implemented_get_index_definition');
+  }
+  getForeignKeyDefinition(foreignKeyName, columnName, refTableName, refColumnName, onDelete) {
+    return `CONSTRAINT ${foreignKeyName} FOREIGN KEY (${columnName}) REFERENCES ${refTableName} (${refColumnName})${onDelete ? ` ON DELETE ${onDelete}` : ''}`;
+  }
+  getCreateTableSql(tableName, schema, foreignKeys = {}) {
+    return `
+      CREATE TABLE IF NOT EXISTS ${tableName} (
+        ${[
+          ...Object.keys(schema).map((columnName) => {
+            return `${columnName} ${schema[columnName]}`;
+          }),
+          ...Object.keys(foreignKeys).map(foreignKeyName => foreignKeys[foreignKeyName]),
+        ].join(',')}
+      )
+    `;
+  }
+  getAddColumnSql(tableName, columnName, columnType) {
+    return `ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType}`;
+  }
+  getModifyColumnSql(tableName, columnName, columnType) {
+    throw new Error('not_implemented_get_modify_column_sql');
+  }
+  getDropColumnSql(tableName, columnName) {
+    return `ALTER TABLE ${tableName} DROP COLUMN ${columnName}`;
+  }
+  getRenameColumnSql(tableName, oldColumnName, columnName, columnType) {
+    return `ALTER TABLE ${tableName} RENAME COLUMN ${oldColumnName} TO ${columnName}`;
+  }
+  getRenameTableSql(oldTableName, tableName) {
+    return `ALTER TABLE ${oldTableName} RENAME TO ${tableName}`;
+  }
+  // Selects a row if the table (passed as the only parameter) exists, and none otherwise.
+  getTableExistsSql() {
+    return 'SELECT 1 AS found FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?';
+  }
+  getDropIndexSql(tableName, indexName) {
+    return `DROP INDEX IF EXISTS ${indexName}`;
+  }
+  getAddForeignKeySql(tableName, foreignKeyDefinition) {
+    return `ALTER TABLE ${tableName} ADD ${foreignKeyDefinition}`;
+  }
+  getDropForeignKeySql(tableName, foreignKeyName) {
+    return `ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${foreignKeyName}`;
+  }
+  // Changing a column type is "lossy" if some values of the old type may not fit in the new one.
+  getColumnChangeKind(oldColumnType, columnType) {
+    const oldType = parseColumnType(oldColumnType);
+    const type = parseColumnType(columnType);
+    if (oldType.values || type.values) {
+      if (!type.values) return (TEXT_TYPES.includes(type.name) ? 'safe' : 'lossy');
+      if (!oldType.values) return 'lossy';
+      return (_.difference(oldType.values, type.values).length === 0 ? 'safe' : 'lossy');
+    }
+    if (INTEGER_SIZES[oldType.name] && INTEGER_SIZES[type.name]) {
+      return (INTEGER_SIZES[type.name] >= INTEGER_SIZES[oldType.name] ? 'safe' : 'lossy');
+    }
+    if (TEXT_TYPES.includes(oldType.name) && type.name === 'TEXT') {
+      return 'safe';
+    }
+    if (oldType.name !== type.name) {
+      return 'lossy';
+    }
+    if (type.name === 'VARCHAR' || type.name === 'CHAR') {
+      return (!(type.args[0] < oldType.args[0]) ? 'safe' : 'lossy');
+    }
+    if (type.name === 'DECIMAL' || type.name === 'NUMERIC') {
+      const [oldDigits, oldPrecision = 0] = oldType.args;
+      const [digits, precision = 0] = type.args;
+      if (digits - precision < oldDigits - oldPrecision || precision < oldPrecision) return 'lossy';
+    }
+    return 'safe';
+  }
+  getRenameColumnStatements(tableName, oldSchema = {}, renamedColumns = {}) {
+    return Object.keys(renamedColumns).map(oldColumnName => ({
+      sql: this.getRenameColumnSql(tableName, oldColumnName, renamedColumns[oldColumnName], oldSchema[oldColumnName]),
+      description: `"${oldColumnName}" column was renamed to "${renamedColumns[oldColumnName]}" in the "${tableName}" table.`,
+      kind: 'safe',
+    }));
+  }
+  // Each statement has a "kind", which is "safe", "lossy" (type changes that may lose data)
+  // or "destructive" (drops data).
+  getAlterTableStatements(tableName, diff) {
+    const {
+      schema = {},
+      indices = {},
+      oldIndices = {},
+      foreignKeys = {},
+      oldForeignKeys = {},
+      renamedColumns = {},
+    } = diff;
+    // Renamed columns are renamed first, and then compared by their new names.
+    const oldSchema = _.mapKeys(diff.oldSchema || {}, (columnType, columnName) => renamedColumns[columnName] || columnName);
+    const statements = [];
+    // Foreign keys are removed first, in case their columns are changed.
+    Object.keys(oldForeignKeys).forEach((oldForeignKeyName) => {
+      if (!foreignKeys[oldForeignKeyName]) {
+        statements.push({
+          sql: this.getDropForeignKeySql(tableName, oldForeignKeyName),
+          description: `Foreign key "${oldForeignKeyName}" was removed from the "${tableName}" table.`,
+          kind: 'safe',
+        });
+      }
+    });
+    statements.push(...this.getRenameColumnStatements(tableName, diff.oldSchema, renamedColumns));
+    Object.keys(schema).forEach((columnName) => {
+      const columnType = schema[columnName];
+      const oldColumnType = oldSchema[columnName];
+      if (columnType !== oldColumnType) {
+        if (!oldColumnType) {
+          statements.push({
+            sql: this.getAddColumnSql(tableName, columnName, columnType),
+            description: `"${columnName}" column was added to the "${tableName}" table.`,
+            kind: 'safe',
+          });
+        } else {
+          statements.push({
+            sql: this.getModifyColumnSql(tableName, columnName, columnType, oldColumnType),
+            description: `"${columnName}" column was modified in the "${tableName}" table.`,
+            kind: this.getColumnChangeKind(oldColumnType, columnType),
+          });
+        }
+      }
+    });
+    Object.keys(indices).forEach((hash) => {
+      if (!oldIndices[hash]) {
+        statements.push({
+          sql: `CREATE ${indices[hash]}`,
+          description: `Index "${hash}" was added to the "${tableName}" table.`,
+          kind: 'safe',
+        });
+      }
+    });
+    Object.keys(foreignKeys).forEach((foreignKeyName) => {
+      if (!oldForeignKeys[foreignKeyName]) {
+        statements.push({
+          sql: this.getAddForeignKeySql(tableName, foreignKeys[foreignKeyName]),
+          description: `Foreign key "${foreignKeyName}" was added to the "${tableName}" table.`,
+          kind: 'safe',
+        });
+      }
+    });
+    Object.keys(oldIndices).forEach((oldHash) => {
+      if (!indices[oldHash]) {
+        statements.push({
+          sql: this.getDropIndexSql(tableName, oldHash),
+          description: `Index "${oldHash}" was removed from the "${tableName}" table.`,
+          kind: 'safe',
+        });
+      }
+    });
+    Object.keys(oldSchema).forEach((oldColumnName) => {
+      if (!schema[oldColumnName]) {
+        statements.push({
+          sql: this.getDropColumnSql(tableName, oldColumnName),
+          description: `"${oldColumnName}" column was removed from the "${tableName}" table.`,
+          kind: 'destructive',
+        });
+      }
+    });
+    return statements;
+  }
+}
+
+exports.Dialect = Dialect;
+
+class MySQLDialect extends Dialect {
+  escapeString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, '\'\'')}'`;
+  }
+  getLimitClause(limit, offset) {
+    if (!limit && offset) {
+      // MySQL cannot OFFSET without a LIMIT.
+      return `LIMIT 18446744073709551615 OFFSET ${parseInt(offset, 10)}`;
+    }
+    return super.getLimitClause(limit, offset);
+  }
+  getInsertSql(tableName, columns) {
+    if (columns.length === 0) {
+      return `INSERT INTO ${tableName} () VALUES ()`;
+    }
+    return super.getInsertSql(tableName, columns);
+  }
+  getUpsertSql(tableName, columns, keyColumns, where, insertOnlyColumns = [], incrementColumns = []) {
+    const updateColumns = columns.filter(column => !keyColumns.includes(column) && !insertOnlyColumns.includes(column));
+    const setColumns = (updateColumns.length > 0 || incrementColumns.length > 0 ? updateColumns : keyColumns);
+    const setters = [
+      ...setColumns.map(column => `${column} = VALUES(${column})`),
+      ...incrementColumns.map(column => `${column} = ${column} + 1`),
+    ];
+    return `
+      INSERT INTO ${tableName}
+        (${columns.join(',')})
+      VALUES (${columns.map(() => '?').join(',')})
+      ON DUPLICATE KEY UPDATE
+        ${setters.join(', ')}
+    `;
+  }
+  getDeleteSql(tableName, where, limit) {
+    return `
+      DELETE FROM ${tableName}
+      WHERE ${where.join(' AND ')}
+      ${limit ? `LIMIT ${parseInt(limit, 10)}` : ''}
+    `;
+  }
+
+  getTextType(maxLength) {
+    if (maxLength == Infinity) {
+      return 'TEXT';
+    }
+    return `VARCHAR(${maxLength})`;
+  }
+  getIdType({ autoInc, primaryKey }) {
+    return `BIGINT${autoInc ? ' AUTO_INCREMENT' : ''}${primaryKey ? ' PRIMARY KEY' : ''}`;
+  }
+  getIntegerType(size) {
+    if (size === 'medium') {
+      return 'INT';
+    } else if (size === 'small') {
+      return 'MEDIUMINT';
+    } else if (size === 'tiny') {
+      return 'SMALLINT';
+    } else if (size === 'extra-tiny') {
+      return 'TINYINT';
+    } else if (typeof size === 'number' && size != Infinity) {
+      return `INT(${size})`;
+    }
+    return 'BIGINT';
+  }
+  getDateType() {
+    return 'DATETIME';
+  }
+  getEnumType(values) {
+    return `ENUM(${values.map(value => this.escapeString(value)).join(',')})`;
+  }
+  getIndexDefinition(type, indexName, tableName, columns, where) {
+    if (type === 'unique' && where) {
+      // MySQL has no partial indices, but NULLs are never duplicates (needs MySQL 8.0.13 or later).
+      return `UNIQUE INDEX ${indexName} ON ${tableName} (${columns.join(',')},(IF(${where}, 1, NULL)))`;
+    } else if (type === 'unique') {
+      return `UNIQUE INDEX ${indexName} ON ${tableName} (${columns.join(',')})`;
+    } else if (type === 'fulltext') {
+      return `FULLTEXT INDEX ${indexName} ON ${tableName} (${columns.join(',')})`;
+    } else if (type === 'hash') {
+      return `INDEX ${indexName} USING HASH ON ${tableName} (${columns.join(',')})`;
+    }
+    return `INDEX ${indexName} USING BTREE ON ${tableName} (${columns.join(',')})`;
+  }
+  getModifyColumnSql(tableName, columnName, columnType) {
+    return `ALTER TABLE ${tableName} MODIFY COLUMN ${columnName} ${columnType}`;
+  }
+  getRenameColumnSql(tableName, oldColumnName, columnName, columnType) {
+    // The primary key is kept, and cannot be added again.
+    return `ALTER TABLE ${tableName} CHANGE COLUMN ${oldColumnName} ${columnName} ${columnType.replace(/ PRIMARY KEY/i, '')}`;
+  }
+  getTableExistsSql() {
+    return 'SELECT 1 AS found FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?';
+  }
+  getDropIndexSql(tableName, indexName) {
+    return `ALTER TABLE ${tableName} DROP INDEX ${indexName}`;
+  }
+  getDropForeignKeySql(tableName, foreignKeyName) {
+    return `ALTER TABLE ${tableName} DROP FOREIGN KEY ${foreignKeyName}`;
+  }
+}
+
+class PostgresDialect extends Dialect {
+  // Postgres uses numbered placeholders ($1, $2, ...) instead of "?".
+  formatQuery(sql) {
+    let index = 0;
+    let quoted = false;
+    let formatted = '';
+    for (const char of sql) {
+      if (char === '\'') {
+        quoted = !quoted;
+      }
+      if (char === '?' && !quoted) {
+        index += 1;
+        formatted += `$${index}`;
+      } else {
+        formatted += char;
+      }
+    }
+    return formatted;
+  }
+  getRows(result) {
+    if (Array.isArray(result)) return result;
+    return (result && result.rows) || [];
+  }
+  getInsertId(result) {
+    const [row] = this.getRows(result);
+    if (!row) return null;
+    return row.id;
+  }
+  getAffectedRows(result) {
+    if (!result) return 0;
+    if (result.rowCount !== undefined) return result.rowCount || 0;
+    return result.affectedRows || 0;
+  }
+  async getInsertIdIncrement(conn) {
+    return 1;
+  }
+  // NULLs are larger than the other values in Postgres, unlike in the other dialects.
+  getNullsOrder(desc) {
+    return (desc ? ' NULLS LAST' : ' NULLS FIRST');
+  }
+  // The returned rows aren't always in the order they were inserted in, but their IDs are.
+  getInsertIds(result) {
+    return _.sortBy(this.getRows(result).map(row => row.id), Number);
+  }
+  getInsertSql(tableName, columns, returning) {
+    const sql = super.getInsertSql(tableName, columns);
+    if (!returning) return sql;
+    return `${sql} RETURNING ${returning}`;
+  }
+  getBulkInsertSql(tableName, columns, rowCount, returning) {
+    const sql = super.getBulkInsertSql(tableName, columns, rowCount);
+    if (!returning) return sql;
+    return `${sql} RETURNING ${returning}`;
+  }
+
+  getTextType(maxLength) {
+    if (maxLength == Infinity) {
+      return 'TEXT';
+    }
+    return `VARCHAR(${maxLength})`;
+  }
+  getIdType({ autoInc, primaryKey }) {
+    return `BIGINT${autoInc ? ' GENERATED BY DEFAULT AS IDENTITY' : ''}${primaryKey ? ' PRIMARY KEY' : ''}`;
+  }
+  getIntegerType(size) {
+    if (size === 'tiny' || size === 'extra-tiny') {
+      return 'SMALLINT';
+    } else if (size === 'medium' || size === 'small') {
+      return 'INTEGER';
+    } else if (typeof size === 'number' && size != Infinity) {
+      return 'INTEGER';
+    }
+    return 'BIGINT';
+  }
+  getDateType() {
+    return 'TIMESTAMP';
+  }
+  getIndexName(kind, tableName, columns) {
+    // Index names are unique per schema (not per table) in Postgres.
+    return `idx_${kind}_${objHash({ tableName, columns })}`;
+  }
+  getIndexDefinition(type, indexName, tableName, columns, where) {
+    const columnNames = columns.map(column => column.split(' ')[0]);
+    if (type === 'unique') {
+      return `UNIQUE INDEX ${indexName} ON ${tableName} (${columns.join(',')})${where ? ` WHERE ${where}` : ''}`;
+    } else if (type === 'fulltext') {
+      const document = columnNames.map(column => `COALESCE(${column}, '')`).join(` || ' ' || `);
+      return `INDEX ${indexName} ON ${tableName} USING GIN (TO_TSVECTOR('simple', ${document}))`;
+    } else if (type === 'hash' && columnNames.length === 1) {
+      return `INDEX ${indexName} ON ${tableName} USING HASH (${columnNames[0]})`;
+    }
+    return `INDEX ${indexName} ON ${tableName} USING BTREE (${columns.join(',')})`;
+  }
+  getModifyColumnSql(tableName, columnName, columnType, oldColumnType = '') {
+    // Only the data type can be changed here, so leave out any column constraints.
+    const [dataType] = columnType.split(/\s+(?=GENERATED|PRIMARY KEY|NOT NULL|DEFAULT|UNIQUE|CHECK|REFERENCES)/);
+    const actions = [`ALTER COLUMN ${columnName} TYPE ${dataType}`];
+    // Except for CHECK constraints (like enums), which are replaced using their default name.
+    const checkName = `${tableName}_${columnName}_check`;
+    const [, check] = columnType.match(/\s+CHECK\s+(\(.*\))/) || [];
+    if (check || /\s+CHECK\s+/.test(oldColumnType)) {
+      actions.push(`DROP CONSTRAINT IF EXISTS ${checkName}`);
+    }
+    if (check) {
+      actions.push(`ADD CONSTRAINT ${checkName} CHECK ${check}`);
+    }
+    return `ALTER TABLE ${tableName} ${actions.join(', ')}`;
+  }
+  getRenameColumnStatements(tableName, oldSchema = {}, renamedColumns = {}) {
+    const statements = super.getRenameColumnStatements(tableName, oldSchema, renamedColumns);
+    // CHECK constraints keep their default name, so rename them too.
+    Object.keys(renamedColumns).forEach((oldColumnName) => {
+      if (!/\s+CHECK\s+/.test(oldSchema[oldColumnName])) return;
+      const columnName = renamedColumns[oldColumnName];
+      statements.push({
+        sql: `ALTER TABLE ${tableName} RENAME CONSTRAINT ${tableName}_${oldColumnName}_check TO ${tableName}_${columnName}_check`,
+        description: `Check constraint of "${oldColumnName}" was renamed in the "${tableName}" table.`,
+        kind: 'safe',
+      });
+    });
+    return statements;
+  }
+}
+
+class SQLiteDialect extends Dialect {
+  getLimitClause(limit, offset) {
+    if (!limit && offset) {
+      // SQLite cannot OFFSET without a LIMIT.
+      return `LIMIT -1 OFFSET ${parseInt(offset, 10)}`;
+    }
+    return super.getLimitClause(limit, offset);
+  }
+  async getInsertIdIncrement(conn) {
+    return 1;
+  }
+  // The insert ID is of the last row instead.
+  getInsertIds(result, rowCount, increment = 1) {
+    const lastId = this.getInsertId(result);
+    if (lastId === null || lastId === undefined) return [];
+    return _.range(rowCount).map(i => lastId - ((rowCount - 1 - i) * increment));
+  }
+
+  getTextType(maxLength) {
+    return 'TEXT';
+  }
+  getIdType({ autoInc, primaryKey }) {
+    if (!primaryKey) {
+      return 'INTEGER';
+    }
+    return `INTEGER PRIMARY KEY${autoInc ? ' AUTOINCREMENT' : ''}`;
+  }
+  getIntegerType(size) {
+    return 'INTEGER';
+  }
+  getDecimalType(digits, precision) {
+    return 'NUMERIC';
+  }
+  getDateType() {
+    // Dates are stored as ISO strings.
+    return 'DATETIME';
+  }
+  getRefType() {
+    return 'INTEGER';
+  }
+  getTableExistsSql() {
+    return 'SELECT 1 AS found FROM sqlite_master WHERE type = \'table\' AND name = ?';
+  }
+  getIndexName(kind, tableName, columns) {
+    // Index names are unique per database (not per table) in SQLite.
+    return `idx_${kind}_${objHash({ tableName, columns })}`;
+  }
+  getIndexDefinition(type, indexName, tableName, columns, where) {
+    if (type === 'unique') {
+      return `UNIQUE INDEX ${indexName} ON ${tableName} (${columns.join(',')})${where ? ` WHERE ${where}` : ''}`;
+    }
+    return `INDEX ${indexName} ON ${tableName} (${columns.join(',')})`;
+  }
+  getAlterTableStatements(tableName, diff) {
+    const {
+      schema = {},
+      indices = {},
+      foreignKeys = {},
+      oldForeignKeys = {},
+      renamedColumns = {},
+    } = diff;
+    const oldSchema = _.mapKeys(diff.oldSchema || {}, (columnType, columnName) => renamedColumns[columnName] || columnName);
+    const changedColumns = Object.keys(oldSchema).filter(columnName => schema[columnName] !== oldSchema[columnName]);
+    const foreignKeysChanged = !_.isEqual(Object.keys(foreignKeys).sort(), Object.keys(oldForeignKeys).sort());
+    if (changedColumns.length === 0 && !foreignKeysChanged) {
+      return super.getAlterTableStatements(tableName, diff);
+    }
+    // SQLite cannot modify columns or constraints, so copy the rows into a new table with the new schema instead.
+    const rebuildTableName = `${tableName}_rebuild`;
+    const copiedColumns = Object.keys(schema).filter(columnName => oldSchema[columnName]).join(',');
+    // Data is lost when the old table is dropped, if any of its columns are dropped or narrowed.
+    const changeKinds = changedColumns.map((columnName) => {
+      if (!schema[columnName]) return 'destructive';
+      return this.getColumnChangeKind(oldSchema[columnName], schema[columnName]);
+    });
+    const lossyColumns = changedColumns.filter((columnName, i) => changeKinds[i] !== 'safe');
+    const statements = [
+      ...this.getRenameColumnStatements(tableName, diff.oldSchema, renamedColumns),
+      {
+        sql: `DROP TABLE IF EXISTS ${rebuildTableName}`,
+        description: `Rebuilding the "${tableName}" table to change its columns or foreign keys.`,
+        kind: 'safe',
+      },
+      {
+        sql: this.getCreateTableSql(rebuildTableName, schema, foreignKeys),
+        description: `Creating the new "${tableName}" table.`,
+        kind: 'safe',
+      },
+    ];
+    if (copiedColumns) {
+      statements.push({
+        sql: `INSERT INTO ${rebuildTableName} (${copiedColumns}) SELECT ${copiedColumns} FROM ${tableName}`,
+        description: `Copying rows into the new "${tableName}" table.`,
+        kind: 'safe',
+      });
+    }
+    statements.push(
+      {
+        sql: `DROP TABLE ${tableName}`,
+        description: `Dropping the old "${tableName}" table${lossyColumns.length > 0 ?
+          `, losing data of ${lossyColumns.map(columnName => `"${columnName}"`).join(', ')}` : ''}.`,
+        kind: _.find(['destructive', 'lossy'], kind => changeKinds.includes(kind)) || 'safe',
+      },
+      {
+        sql: `ALTER TABLE ${rebuildTableName} RENAME TO ${tableName}`,
+        description: `Renaming the new "${tableName}" table.`,
+        kind: 'safe',
+      },
+      ...Object.keys(indices).map(hash => ({
+        sql: `CREATE ${indices[hash]}`,
+        description: `Index "${hash}" was added to the "${tableName}" table.`,
+        kind: 'safe',
+      }))
+    );
+    return statements;
+  }
+}
+
+const DIALECTS = {
+  mysql: MySQLDialect,
+  postgres: PostgresDialect,
+  postgresql: PostgresDialect,
+  pg: PostgresDialect,
+  sqlite: SQLiteDialect,
+};
+
+exports.Dialects = DIALECTS;
+
+exports.getDialect = (dialect = 'mysql') => {
+  if (dialect instanceof Dialect) {
+    return dialect;
+  }
+  const Type = DIALECTS[dialect];
+  if (!Type) throw new Error(`unknown_dialect_${dialect}`);
+  return new Type();
+};
@@ -0,0 +1,247 @@
+const _ = require('lodash');
+const { Types, getModel, parseSortProp } = require('./index');
+
+// GraphQL types of the readable types of the built-in fields.
+const GRAPHQL_TYPES = {
+  string: 'String',
+  email: 'String',
+  int: 'Int',
+  number: 'Float',
+  boolean: 'Boolean',
+  Date: 'DateTime',
+  json: 'JSON',
+};
+// The view options that make sense as arguments, since the fields come from the query.
+const VIEW_OPTION_ARGS = {
+  view: 'String',
+  sort: '[String!]',
+  filters: '[Filter!]',
+  limit: 'Int',
+  offset: 'Int',
+  withDeleted: 'Boolean',
+  onlyDeleted: 'Boolean',
+};
+
+const HEADER = `scalar DateTime
+scalar JSON
+
+input Filter {
+  prop: String
+  op: String
+  value: JSON
+  or: [Filter!]
+  and: [Filter!]
+}
+`;
+
+function getDescription(description, indent) {
+  if (!description) return [];
+  return [`${indent}${JSON.stringify(description)}`];
+}
+
+function isEnumValue(value) {
+  return /^[_A-Za-z][_0-9A-Za-z]*$/.test(value) && !['true', 'false', 'null'].includes(value);
+}
+
+// Enums and objects get their own types (added to `types`), named after the model and field, like UserStatus.
+// Enums with values that can't be GraphQL names are strings instead.
+function getFieldType(field, typeName, input, types) {
+  if (field instanceof Types.id || field instanceof Types.ref) return 'ID';
+  if (field instanceof Types.number) return (field.float ? 'Float' : 'Int');
+  if (field instanceof Types.enum) {
+    if (!field.values.every(isEnumValue)) return 'String';
+    types.set(typeName, [`enum ${typeName} {`, ...field.values.map(value => `  ${value}`), '}']);
+    return typeName;
+  }
+  if (field instanceof Types.object) {
+    const objectTypeName = (input ? `${typeName}Input` : typeName);
+    const lines = [`${input ? 'input' : 'type'} ${objectTypeName} {`];
+    Object.keys(field.fields).forEach((subProp) => {
+      const subField = field.fields[subProp];
+      const subType = getFieldType(subField, `${typeName}${_.upperFirst(subProp)}`, input, types);
+      lines.push(...getDescription(subField.description, '  '));
+      lines.push(`  ${subProp}: ${subType}${input || subField.isNullable() ? '' : '!'}`);
+    });
+    types.set(objectTypeName, [...lines, '}']);
+    return objectTypeName;
+  }
+  return GRAPHQL_TYPES[field.getReadableType()] || 'JSON';
+}
+
+// Ref fields (with a ref model) are the referenced object, like with the `include` view option,
+// and hasMany relations are lists.
+function getModelTypes(model, fns, getModelType, types, resolvers) {
+  const { names, fields, hasMany } = model;
+  const { singularTitle } = names;
+  const typeResolvers = {};
+  const lines = [`type ${singularTitle} {`];
+  Object.keys(fields).forEach((prop) => {
+    const field = fields[prop];
+    const refType = (field instanceof Types.ref ? getModelType(field.ref) : null);
+    const type = refType || getFieldType(field, `${singularTitle}${_.upperFirst(prop)}`, false, types);
+    lines.push(...getDescription(field.description, '  '));
+    lines.push(`  ${prop}: ${type}${field.isNullable() ? '' : '!'}`);
+    if (refType) {
+      typeResolvers[prop] = (parent) => {
+        const refId = parent[prop];
+        if (refId === undefined || refId === null || typeof refId === 'object') return refId;
+        return fns[`get${refType}ById`](refId);
+      };
+    }
+  });
+  Object.keys(hasMany).forEach((relation) => {
+    const relationTitle = _.upperFirst(_.camelCase(relation));
+    lines.push(`  ${relation}: [${getModelType(hasMany[relation].model)}!]!`);
+    typeResolvers[relation] = parent => fns[`get${relationTitle}For${singularTitle}`](parent.id);
+  });
+  lines.push('}');
+  if (!_.isEmpty(typeResolvers)) resolvers[singularTitle] = typeResolvers;
+  // Creates need the required fields, and updates can have any of them. The props set automatically are left out,
+  // except that updates of versioned rows need the version they are expected to be at.
+  [`${singularTitle}Input`, `${singularTitle}UpdateInput`].forEach((inputName) => {
+    const isUpdate = (inputName === `${singularTitle}UpdateInput`);
+    lines.push('', `input ${inputName} {`);
+    _.difference(Object.keys(fields), model.autoProps).forEach((prop) => {
+      const field = fields[prop];
+      const required = (!isUpdate && field.isRequired() && !(field instanceof Types.id));
+      lines.push(...getDescription(field.description, '  '));
+      lines.push(`  ${prop}: ${getFieldType(field, `${singularTitle}${_.upperFirst(prop)}`, true, types)}${required ? '!' : ''}`);
+    });
+    if (isUpdate && model.versioned) lines.push('  version: Int!');
+    lines.push('}');
+  });
+  return lines;
+}
+
+function getViewOptions(queryArgs, fields) {
+  const viewOptions = _.omitBy(_.pick(queryArgs, Object.keys(VIEW_OPTION_ARGS)), _.isNil);
+  if (viewOptions.sort) {
+    viewOptions.sort = viewOptions.sort.map(sortProp => parseSortProp(sortProp, fields));
+  }
+  return viewOptions;
+}
+
+// Each getter is a query with the same name, with its view options as separate arguments.
+function getQuery(fnName, fnInfo, model, fns, types) {
+  const { args = [], description } = fnInfo;
+  const { singularTitle } = model.names;
+  const params = [];
+  args.forEach((arg) => {
+    if (arg.name === 'fields') return;
+    if (arg.name === 'viewOptions') {
+      const options = (arg.type.match(/^object\{(.*)\}$/) || [])[1].split(',').map(option => option.trim());
+      options.filter(option => VIEW_OPTION_ARGS[option]).forEach((option) => {
+        params.push(`${option}: ${VIEW_OPTION_ARGS[option]}`);
+      });
+      return;
+    }
+    const prop = _.findKey(model.fields, field => field.getArgument().name === arg.name);
+    const type = (arg.name === 'id' || !prop ? 'ID' : getFieldType(model.fields[prop], `${singularTitle}${_.upperFirst(prop)}`, true, types));
+    params.push(`${arg.name}: ${type}!`);
+  });
+  const resolver = (parent, queryArgs) => {
+    const fnArgs = args.map((arg) => {
+      if (arg.name === 'fields') return undefined;
+      if (arg.name === 'viewOptions') return getViewOptions(queryArgs, model.fields);
+      return queryArgs[arg.name];
+    });
+    return fns[fnName](...fnArgs);
+  };
+  return { params, description, resolver };
+}
+
+function getMutations(model, fns, getContext) {
+  const { singularTitle } = model.names;
+  const existsName = `${_.lowerFirst(singularTitle)}Exists`;
+  return [
+    {
+      name: `create${singularTitle}`,
+      params: [`input: ${singularTitle}Input!`],
+      type: `${singularTitle}!`,
+      description: `Creates a ${model.names.singularName}.`,
+      resolver: async (parent, { input }, context) => {
+        const id = await fns[`create${singularTitle}`](input, getContext(context));
+        return fns[`get${singularTitle}ById`](id);
+      },
+    },
+    {
+      name: `update${singularTitle}ById`,
+      params: ['id: ID!', `input: ${singularTitle}UpdateInput!`],
+      type: singularTitle,
+      description: `Updates the ${model.names.singularName} with given ID, and returns it (or null if it doesn't exist).`,
+      resolver: async (parent, { id, input }, context) => {
+        if (!(await fns[`${existsName}ById`](id))) return null;
+        await fns[`update${singularTitle}ById`](id, input, getContext(context));
+        return fns[`get${singularTitle}ById`](id);
+      },
+    },
+    {
+      name: `delete${singularTitle}ById`,
+      params: ['id: ID!'],
+      type: 'Boolean!',
+      description: `Deletes the ${model.names.singularName} with given ID, and returns whether it existed.`,
+      resolver: async (parent, { id }, context) => {
+        if (!(await fns[`${existsName}ById`](id))) return false;
+        await fns[`delete${singularTitle}ById`](id, getContext(context));
+        return true;
+      },
+    },
+  ];
+}
+
+function getFieldLine({ name, params, type, description }) {
+  return [
+    ...getDescription(description, '  '),
+    `  ${name}${params.length > 0 ? `(${params.join(', ')})` : ''}: ${type}`,
+  ];
+}
+
+// Returns the SDL of a GraphQL schema for the models, and the resolvers that call their functions,
+// to be passed to something like makeExecutableSchema({ typeDefs, resolvers }).
+exports.getGraphqlSchema = (initResult = {}, opts = {}) => {
+  const { fns, index: fnIndex, models } = initResult;
+  const { getContext = () => undefined } = opts;
+  const getModelType = (ref) => {
+    const model = getModel(models, ref);
+    return (model ? model.names.singularTitle : null);
+  };
+  const types = new Map();
+  const resolvers = { Query: {}, Mutation: {} };
+  const modelLines = _.flatMap(Object.keys(models), singularTitle => [
+    ...getModelTypes(models[singularTitle], fns, getModelType, types, resolvers),
+    '',
+  ]);
+  const queryLines = [];
+  Object.keys(fnIndex.getter).forEach((fnName) => {
+    const fnInfo = fnIndex.getter[fnName];
+    const model = models[fnInfo.model];
+    // Relation getters are left out, since the relations are fields of the types.
+    if (!model || !fnName.startsWith('get') || fnName.endsWith(`For${fnInfo.model}`)) return;
+    const returnsType = ((fnInfo.returns && fnInfo.returns.type) || '').replace(/^\[(.*)\]$/, '$1');
+    const returnsModel = getModelType(returnsType);
+    if (!returnsModel) return;
+    const returnsList = (fnInfo.returns.type !== returnsType);
+    const { params, description, resolver } = getQuery(fnName, fnInfo, model, fns, types);
+    const type = (returnsList ? `[${returnsModel}!]!` : returnsModel);
+    queryLines.push(...getFieldLine({ name: fnName, params, type, description }));
+    resolvers.Query[fnName] = resolver;
+  });
+  const mutationLines = [];
+  Object.keys(models).filter(singularTitle => models[singularTitle].fields.id).forEach((singularTitle) => {
+    getMutations(models[singularTitle], fns, getContext).forEach((mutation) => {
+      mutationLines.push(...getFieldLine(mutation));
+      resolvers.Mutation[mutation.name] = mutation.resolver;
+    });
+  });
+  const lines = [HEADER];
+  types.forEach((typeLines) => {
+    lines.push(...typeLines, '');
+  });
+  lines.push(...modelLines, 'type Query {', ...queryLines, '}', '');
+  if (mutationLines.length > 0) {
+    lines.push('type Mutation {', ...mutationLines, '}', '');
+  } else {
+    delete resolvers.Mutation;
+  }
+  return { typeDefs: lines.join('\n'), resolvers };
+};
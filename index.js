@@ -1,49 +1,180 @@
 const validator = require('email-validator');
 const objHash = require('object-hash');
 const _ = require('lodash');
+const { Dialect, Dialects, getDialect } = require('./dialects');
+const { LruCache } = require('./cache');
 const NOOP = () => {};
-
-// TODO:
-// enum field
-// min/max size text
-// nested objects
-// views (shortcut for viewOptions)
-// joins (deferred)
+// Passed to db.transaction() for functions that change the schema.
+const SCHEMA_TRANSACTION = { schema: true };
+// Rows cached with `cache: true` expire after a minute, in case they were changed in other ways.
+const DEFAULT_CACHE_TTL = 60 * 1000;
+// Migrations run either before or after the schema changes in ensureAllTables().
+const MIGRATION_PHASES = ['before', 'after'];
+const HOOK_NAMES = ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete', 'afterFetch'];
 
 function connifyAndRelease(db, fns, baseFnName) {
   return async (...args) => {
     const conn = await db.getConnection();
-    const result = await fns[`${baseFnName}WithConn`](conn, ...args);
-    conn.release();
-    return result;
+    try {
+      return await fns[`${baseFnName}WithConn`](conn, ...args);
+    } finally {
+      conn.release();
+    }
   };
 }
 
-function connifyAndCommit(db, fns, baseFnName) {
-  return async (...args) => {
-    const conn = await db.transaction();
-    const result = await fns[`${baseFnName}WithConn`](conn, ...args);
-    await conn.commit();
-    return result;
+// Runs fn(conn) in a transaction of a tracked db (see trackTransactions), which is committed if fn succeeds
+// and rolled back if it throws.
+async function runInTransaction(db, transactionOpts, fn) {
+  const conn = await db.transaction(transactionOpts);
+  let result;
+  try {
+    result = await fn(conn);
+  } catch (e) {
+    await db.endTransaction(conn, false);
+    throw e;
+  }
+  await db.endTransaction(conn, true);
+  return result;
+}
+
+function connifyAndCommit(db, fns, baseFnName, transactionOpts) {
+  return async (...args) => runInTransaction(db, transactionOpts, conn => fns[`${baseFnName}WithConn`](conn, ...args));
+}
+
+// Wraps a db so that its transactions are known, and onEnd(conn) is called once they are committed or rolled back.
+function trackTransactions(db, onEnd) {
+  if (!db) return db;
+  return {
+    getConnection: (...args) => db.getConnection(...args),
+    transaction: (...args) => db.transaction(...args),
+    endTransaction: async (conn, commit) => {
+      try {
+        await (commit ? conn.commit() : conn.rollback());
+      } finally {
+        await onEnd(conn);
+      }
+    },
   };
 }
 
+const FILTER_OPS = ['=', '!=', '<', '<=', '>', '>=', 'in', 'not in', 'between', 'like', 'startsWith', 'isNull', 'isNotNull'];
+const FILTER_OP_ALIASES = { '<>': '!=' };
+
+function getFilterOp(op = '=') {
+  const filterOp = FILTER_OP_ALIASES[op] || FILTER_OPS.find(name => _.toLower(name) === _.toLower(op));
+  if (!filterOp) throw new Error(`unknown_filter_op_${op}`);
+  return filterOp;
+}
+
+// Given a whitelisted op (see FILTER_OPS), returns the WHERE clause for a column.
+function getColumnWhereClause(column, op, query) {
+  if (op === 'isNull' || (op === '=' && query === null)) {
+    return { clause: `${column} IS NULL`, params: [] };
+  } else if (op === 'isNotNull' || (op === '!=' && query === null)) {
+    return { clause: `${column} IS NOT NULL`, params: [] };
+  } else if (op === 'in' || op === 'not in') {
+    if (!Array.isArray(query)) throw new Error(`invalid_filter_value_${op}`);
+    if (query.length === 0) {
+      return { clause: (op === 'in' ? '1 = 0' : '1 = 1'), params: [] };
+    }
+    return {
+      clause: `${column} ${op === 'in' ? 'IN' : 'NOT IN'} (${query.map(() => '?').join(',')})`,
+      params: query,
+    };
+  } else if (op === 'between') {
+    if (!Array.isArray(query) || query.length !== 2) throw new Error(`invalid_filter_value_${op}`);
+    return { clause: `${column} BETWEEN ? AND ?`, params: query };
+  } else if (op === 'like') {
+    return { clause: `${column} LIKE ?`, params: [query] };
+  } else if (op === 'startsWith') {
+    // "!" is used as the escape character since backslashes are treated differently by each DB.
+    const prefix = String(query).replace(/[!%_]/g, char => `!${char}`);
+    return { clause: `${column} LIKE ? ESCAPE '!'`, params: [`${prefix}%`] };
+  } else if (op === '!=') {
+    return { clause: `${column} <> ?`, params: [query] };
+  } else if (FILTER_OPS.includes(op)) {
+    return { clause: `${column} ${op} ?`, params: [query] };
+  }
+  throw new Error(`unknown_filter_op_${op}`);
+}
+
+class ValidationError extends Error {
+  constructor(errors = []) {
+    super('validation_failed');
+    this.name = 'ValidationError';
+    // Each error is { prop, code, message, value }
+    this.errors = errors;
+  }
+}
+
+exports.ValidationError = ValidationError;
+
+// Thrown when a versioned row has changed since the expected version was fetched.
+class StaleObjectError extends Error {
+  constructor(model, match = {}, version) {
+    super('stale_object');
+    this.name = 'StaleObjectError';
+    this.model = model;
+    // What the row was looked up by, like { id }
+    this.match = match;
+    this.version = version;
+  }
+}
+
+exports.StaleObjectError = StaleObjectError;
+
+function invalid(code, message) {
+  const error = new Error(code);
+  error.readableMessage = message;
+  return error;
+}
+
 class Field {
   constructor(opts = {}) {
     this.opts = opts;
     this.description = opts.description;
     this.required = !!opts.required;
     this.defaultValue = opts.default;
+    this.columnPrefix = '';
   }
   setProp(prop) {
+    this.prop = prop;
     this.name = this.opts.name || _.startCase(prop);
     this.argName = this.opts.argName || _.camelCase(prop);
     this.codeName = this.opts.codeName || _.upperFirst(this.argName);
     this.columnName = this.opts.columnName || _.snakeCase(prop);
   }
+  setDialect(dialect) {
+    this.dialect = dialect;
+  }
   async validate(value) {
     // pass
   }
+  async getValidationError(value, context) {
+    if (value === undefined || value === null) {
+      if (!this.isRequired()) return null;
+      return {
+        prop: this.prop,
+        code: 'required_field_missing',
+        message: `${this.getReadableName()} is required.`,
+        value,
+      };
+    }
+    const error = await this.validate(value, context);
+    if (!error) return null;
+    const code = (error instanceof Error ? error.message : `invalid_${_.snakeCase(this.prop)}`);
+    return {
+      prop: this.prop,
+      code,
+      message: error.readableMessage || `${this.getReadableName()} is invalid.`,
+      value,
+    };
+  }
+  async getValidationErrors(value, context, partial) {
+    const validationError = await this.getValidationError(value, context);
+    return (validationError ? [validationError] : []);
+  }
   getColumnType() {
     throw new Error('not_implemented_get_column_type');
   }
@@ -53,6 +184,10 @@ class Field {
   isRequired() {
     return this.required;
   }
+  // Fetched values can only be null when the field is not required and has no default.
+  isNullable() {
+    return !this.isRequired() && this.defaultValue === undefined;
+  }
 
   // For documentation
   getReadableName() {
@@ -68,13 +203,14 @@ class Field {
       description,
     };
   }
+  // A JSON Schema of the value. Whether it can be null, its description and default are added to it.
+  getJsonSchema() {
+    return {};
+  }
 
   // For queries
   getWhereClause(op, query) {
-    return {
-      clause: `${this.columnName} ${op} ?`,
-      params: [query],
-    };
+    return getColumnWhereClause(this.columnName, op, query);
   }
   getSortColumn() {
     return this.columnName;
@@ -89,6 +225,17 @@ class Field {
       [this.columnName]: this.getColumnType(),
     };
   }
+  // Column names this field had before, from the `renamedFrom` props or `previousColumnNames`.
+  getPreviousColumnNames() {
+    const { renamedFrom = [], previousColumnNames = [] } = this.opts;
+    const renamedColumnNames = _.castArray(renamedFrom).map(prop => `${this.columnPrefix}${_.snakeCase(prop)}`);
+    return _.uniq([..._.castArray(previousColumnNames), ...renamedColumnNames]);
+  }
+  getColumnRenames() {
+    return {
+      [this.columnName]: this.getPreviousColumnNames(),
+    };
+  }
   async getValueFromRow(rowObj) {
     const value = rowObj[this.columnName];
     if (this.defaultValue !== undefined && (value === undefined || value === null)) {
@@ -104,9 +251,9 @@ class Field {
 
   // For models
   async getRowObject(value, context) {
-    const validationError = await this.validate(value, context);
-    if (validationError || validationError === true) {
-      throw validationError;
+    const validationErrors = await this.getValidationErrors(value, context);
+    if (validationErrors.length > 0) {
+      throw new ValidationError(validationErrors);
     }
     return this.getRowFromValue(value, context);
   }
@@ -118,31 +265,55 @@ class TextField extends Field {
   constructor(opts) {
     super(opts);
     this.length = opts.length;
+    this.min = opts.min;
+    this.max = opts.max;
+    this.pattern = (typeof opts.pattern === 'string' ? new RegExp(opts.pattern) : opts.pattern);
   }
-  getColumnType() {
+  async validate(value) {
+    const text = String(value);
+    if (this.min !== undefined && text.length < this.min) {
+      return invalid('text_too_short', `${this.getReadableName()} must be at least ${this.min} characters.`);
+    }
+    if (this.max !== undefined && text.length > this.max) {
+      return invalid('text_too_long', `${this.getReadableName()} must be at most ${this.max} characters.`);
+    }
+    if (this.pattern && !this.pattern.test(text)) {
+      return invalid('pattern_mismatch', `${this.getReadableName()} is not in the right format.`);
+    }
+  }
+  getMaxLength() {
     const length = Number(this.length);
     if (isNaN(length)) {
       if (this.length === 'double-extended') {
-        return 'VARCHAR(511)';
+        return 511;
       } else if (this.length === 'extended') {
-        return 'VARCHAR(255)';
+        return 255;
       } else if (this.length === 'medium') {
-        return 'VARCHAR(127)';
+        return 127;
       } else if (this.length === 'short') {
-        return 'VARCHAR(63)';
+        return 63;
       } else if (this.length === 'tiny') {
-        return 'VARCHAR(31)';
+        return 31;
       }
-      return 'TEXT';
-    } else if (length == Infinity) {
-      return 'TEXT';
-    } else {
-      return `VARCHAR(${length})`;
+      return Infinity;
     }
+    return length;
+  }
+  getColumnType() {
+    return this.dialect.getTextType(this.getMaxLength());
   }
   getReadableType() {
     return 'string';
   }
+  getJsonSchema() {
+    const maxLength = Math.min(this.getMaxLength(), (this.max === undefined ? Infinity : this.max));
+    return _.omitBy({
+      type: 'string',
+      minLength: this.min,
+      maxLength: (maxLength === Infinity ? undefined : maxLength),
+      pattern: (this.pattern ? this.pattern.source : undefined),
+    }, _.isUndefined);
+  }
 }
 
 class IdField extends Field {
@@ -152,26 +323,52 @@ class IdField extends Field {
     this.primaryKey = (opts.primaryKey === undefined ? true : !!opts.primaryKey);
   }
   getColumnType() {
-    return `BIGINT${this.autoInc ? ' AUTO_INCREMENT' : ''}${this.primaryKey ? ' PRIMARY KEY' : ''}`
+    return this.dialect.getIdType({ autoInc: this.autoInc, primaryKey: this.primaryKey });
+  }
+  isNullable() {
+    return false;
   }
   getReadableType() {
     return 'int';
   }
+  getJsonSchema() {
+    return (this.autoInc ? { type: 'integer', readOnly: true } : { type: 'integer' });
+  }
 }
 
+const ON_DELETE_ACTIONS = {
+  cascade: 'CASCADE',
+  'set null': 'SET NULL',
+  restrict: 'RESTRICT',
+  'no action': 'NO ACTION',
+};
+
 class RefField extends Field {
   constructor(opts) {
     super(opts);
     this.ref = opts.ref;
-    this.refType = opts.refType || 'BIGINT';
+    this.refType = opts.refType;
     this.readableType = opts.readableType || 'int';
+    this.onDelete = opts.onDelete;
+    this.foreignKey = (opts.foreignKey === undefined ? !!opts.onDelete : !!opts.foreignKey);
+    if (this.onDelete && !ON_DELETE_ACTIONS[_.toLower(this.onDelete)]) {
+      throw new Error(`unknown_on_delete_${this.onDelete}`);
+    }
+    if (this.foreignKey && !this.ref) throw new Error('missing_foreign_key_ref');
+  }
+  getOnDeleteAction() {
+    if (!this.onDelete) return null;
+    return ON_DELETE_ACTIONS[_.toLower(this.onDelete)];
   }
   getColumnType() {
-    return this.refType;
+    return this.refType || this.dialect.getRefType();
   }
   getReadableType() {
     return this.readableType;
   }
+  getJsonSchema() {
+    return { type: (this.readableType === 'int' ? 'integer' : 'string') };
+  }
 }
 
 class NumberField extends Field {
@@ -180,6 +377,20 @@ class NumberField extends Field {
     this.float = (opts.float === undefined ? false : !!opts.float);
     this.size = opts.size;
     this.precision = Number(opts.precision);
+    this.min = opts.min;
+    this.max = opts.max;
+  }
+  async validate(value) {
+    const number = Number(value);
+    if (isNaN(number)) {
+      return invalid('invalid_number', `${this.getReadableName()} must be a number.`);
+    }
+    if (this.min !== undefined && number < this.min) {
+      return invalid('number_too_small', `${this.getReadableName()} must be at least ${this.min}.`);
+    }
+    if (this.max !== undefined && number > this.max) {
+      return invalid('number_too_large', `${this.getReadableName()} must be at most ${this.max}.`);
+    }
   }
   getColumnType() {
     const size = Number(this.size);
@@ -187,49 +398,53 @@ class NumberField extends Field {
       const precision = isNaN(this.precision) ? 3 : this.precision;
       if (isNaN(size)) {
         if (this.size === 'medium') {
-          return `DECIMAL(10, ${precision})`;
+          return this.dialect.getDecimalType(10, precision);
         } else if (this.size === 'small') {
-          return `DECIMAL(5, ${precision})`;
+          return this.dialect.getDecimalType(5, precision);
         } else if (this.size === 'tiny') {
-          return `DECIMAL(2, ${precision})`;
+          return this.dialect.getDecimalType(2, precision);
         }
-        return `DECIMAL(20, ${precision})`;
+        return this.dialect.getDecimalType(20, precision);
       } else if (size == Infinity) {
-        return `DECIMAL(40, ${precision})`;
+        return this.dialect.getDecimalType(40, precision);
       } else {
-        return `DECIMAL(${size}, ${precision})`;
+        return this.dialect.getDecimalType(size, precision);
       }
     } else {
-      if (isNaN(size)) {
-        if (this.size === 'medium') {
-          return 'INT';
-        } else if (this.size === 'small') {
-          return 'MEDIUMINT';
-        } else if (this.size === 'tiny') {
-          return 'SMALLINT';
-        } else if (this.size === 'extra-tiny') {
-          return 'TINYINT';
-        }
-        return 'BIGINT';
-      } else if (size == Infinity) {
-        return 'BIGINT';
-      } else {
-        return `INT(${size})`;
-      }
+      return this.dialect.getIntegerType(isNaN(size) ? this.size : size);
     }
   }
   getReadableType() {
     return 'number';
   }
+  getJsonSchema() {
+    // Floats only keep as many decimal places as the precision, which is only a constraint if it was set.
+    return _.omitBy({
+      type: (this.float ? 'number' : 'integer'),
+      multipleOf: (this.float && !isNaN(this.precision) ? 1 / (10 ** this.precision) : undefined),
+      minimum: this.min,
+      maximum: this.max,
+    }, _.isUndefined);
+  }
 }
 
 class DateTimeField extends Field {
+  async getValueFromRow(rowObj) {
+    const value = await super.getValueFromRow(rowObj);
+    if (typeof value === 'string' || typeof value === 'number') {
+      return new Date(value);
+    }
+    return value;
+  }
   getColumnType() {
-    return 'DATETIME';
+    return this.dialect.getDateType();
   }
   getReadableType() {
     return 'Date';
   }
+  getJsonSchema() {
+    return { type: 'string', format: 'date-time' };
+  }
 }
 
 class JsonField extends Field {
@@ -242,25 +457,180 @@ class JsonField extends Field {
     return { [this.columnName]: JSON.stringify(value) };
   }
   getColumnType() {
-    return 'TEXT';
+    return this.dialect.getJsonType();
   }
   getReadableType() {
     return 'json';
   }
 }
 
+class EnumField extends Field {
+  constructor(opts) {
+    super(opts);
+    this.values = opts.values || [];
+    if (this.values.length === 0) throw new Error('missing_enum_values');
+  }
+  async validate(value) {
+    if (!this.values.includes(value)) {
+      return invalid('invalid_enum_value', `${this.getReadableName()} must be one of: ${this.values.join(', ')}.`);
+    }
+  }
+  getColumnType() {
+    return this.dialect.getEnumType(this.values, this.columnName);
+  }
+  getReadableType() {
+    return `enum{${this.values.join(', ')}}`;
+  }
+  getJsonSchema() {
+    return { enum: [...this.values] };
+  }
+  getArgument(description = this.description) {
+    return {
+      ...super.getArgument(description),
+      values: this.values,
+    };
+  }
+}
+
 class EmailField extends TextField {
   async validate(value) {
     if (!validator.validate(value)) {
-      return new Error('invalid_email');
+      return invalid('invalid_email', `${this.getReadableName()} is not a valid email.`);
     }
+    return super.validate(value);
   }
-  getColumnType() {
-    return 'VARCHAR(320)';
+  getMaxLength() {
+    return 320;
   }
   getReadableType() {
     return 'email';
   }
+  getJsonSchema() {
+    return { ...super.getJsonSchema(), format: 'email' };
+  }
+}
+
+class ObjectField extends Field {
+  constructor(opts) {
+    super(opts);
+    this.fieldDefns = opts.fields || {};
+    this.fields = {};
+  }
+  setProp(prop) {
+    super.setProp(prop);
+    this.fields = _.mapValues(this.fieldDefns, (defn, subProp) => {
+      const field = createField(defn, `${prop}.${subProp}`);
+      if (!field.opts.columnName) {
+        field.columnPrefix = `${this.columnName}_`;
+        field.columnName = `${field.columnPrefix}${_.snakeCase(subProp)}`;
+      }
+      return field;
+    });
+  }
+  setDialect(dialect) {
+    super.setDialect(dialect);
+    _.forEach(this.fields, field => field.setDialect(dialect));
+  }
+  async getValidationErrors(value, context, partial) {
+    if (value === undefined || value === null) {
+      // A missing object leaves all of its columns empty, so its required sub-fields are missing too.
+      const errors = await super.getValidationErrors(value, context, partial);
+      if (errors.length > 0) return errors;
+      const subErrors = await Promise.all(_.map(this.fields, field => field.getValidationErrors(undefined, context, false)));
+      return _.flatten(subErrors);
+    }
+    if (typeof value !== 'object') {
+      return super.getValidationErrors(value, context, partial);
+    }
+    const subProps = Object.keys(this.fields).filter(subProp => !partial || value[subProp] !== undefined);
+    const validationErrors = await Promise.all(
+      subProps.map(async subProp => this.fields[subProp].getValidationErrors(value[subProp], context, partial))
+    );
+    return _.flatten(validationErrors);
+  }
+  async validate(value) {
+    return invalid('invalid_object', `${this.getReadableName()} must be an object.`);
+  }
+  getReadableType() {
+    return `object{${Object.keys(this.fields).join(', ')}}`;
+  }
+  getJsonSchema() {
+    return getFieldsJsonSchema(this.fields);
+  }
+
+  // For queries
+  getWhereClause(op, query) {
+    if (op === 'isNull' || op === 'isNotNull') {
+      // The object is null when all of its columns are null.
+      const clauses = _.map(this.fields, field => field.getWhereClause(op, query));
+      return {
+        clause: `(${clauses.map(({ clause }) => clause).join(op === 'isNull' ? ' AND ' : ' OR ')})`,
+        params: _.flatMap(clauses, ({ params }) => params),
+      };
+    }
+    if (!query || typeof query !== 'object') {
+      throw new Error(`invalid_query_${this.prop}`);
+    }
+    const where = [];
+    const params = [];
+    Object.keys(query).forEach((subProp) => {
+      const field = this.fields[subProp];
+      if (!field) throw new Error(`unknown_field_${this.prop}.${subProp}`);
+      const { clause, params: additionalParams } = field.getWhereClause(op, query[subProp]);
+      where.push(clause);
+      params.push(...additionalParams);
+    });
+    return {
+      clause: `(${where.join(' AND ')})`,
+      params,
+    };
+  }
+  getSortColumn() {
+    throw new Error(`unsortable_field_${this.prop}`);
+  }
+
+  // For schema
+  getColumns() {
+    return _.flatMap(this.fields, field => field.getColumns());
+  }
+  getSchema() {
+    return Object.assign({}, ..._.map(this.fields, field => field.getSchema()));
+  }
+  getColumnRenames() {
+    // Renaming the object renames all of its columns.
+    const previousColumnNames = this.getPreviousColumnNames();
+    return Object.assign({}, ..._.map(this.fields, (field, subProp) => {
+      return _.mapValues(field.getColumnRenames(), (subPreviousColumnNames, columnName) => {
+        if (field.opts.columnName) return subPreviousColumnNames;
+        // The sub-field may have been renamed along with the object.
+        const suffixes = [columnName, ...subPreviousColumnNames]
+          .filter(subColumnName => subColumnName.startsWith(field.columnPrefix))
+          .map(subColumnName => subColumnName.slice(field.columnPrefix.length));
+        const renamedColumnNames = _.flatMap(previousColumnNames, previousColumnName => suffixes.map(suffix => `${previousColumnName}_${suffix}`));
+        return _.uniq([...subPreviousColumnNames, ...renamedColumnNames]);
+      });
+    }));
+  }
+  async getValueFromRow(rowObj) {
+    const obj = {};
+    await Promise.all(
+      Object.keys(this.fields).map(async (subProp) => {
+        obj[subProp] = await this.fields[subProp].getValueFromRow(rowObj);
+      })
+    );
+    if (_.every(obj, value => value === undefined || value === null)) {
+      return (this.defaultValue === undefined ? null : this.defaultValue);
+    }
+    return obj;
+  }
+  async getRowFromValue(value, context) {
+    // Only the sub-properties that are given are set, so partial updates leave the rest alone.
+    const subProps = Object.keys(this.fields).filter(subProp => !value || value[subProp] !== undefined);
+    const rowObjs = await Promise.all(
+      subProps.map(async subProp => this.fields[subProp].getRowFromValue(value ? value[subProp] : null, context))
+    );
+    return Object.assign({}, ...rowObjs);
+  }
 }
 
 const FIELD_TYPES = {
@@ -272,30 +642,104 @@ const FIELD_TYPES = {
   date: DateTimeField,
   json: JsonField,
   email: EmailField,
+  enum: EnumField,
+  object: ObjectField,
 };
 
 exports.Types = FIELD_TYPES;
+exports.Dialect = Dialect;
+exports.Dialects = Dialects;
+exports.LruCache = LruCache;
+
+function createField(defn, prop) {
+  let field;
+  if (defn instanceof Field) {
+    field = defn;
+  } else if (typeof defn === 'object') {
+    const fieldType = defn.type;
+    const Type = FIELD_TYPES[fieldType];
+    if (!Type) throw new Error(`unknown_type_${fieldType}`);
+    field = new Type(defn);
+  } else {
+    throw new Error(`unknown_field_defn_${defn}`);
+  }
+  field.setProp(prop);
+  return field;
+}
+
+// Finds the field for a prop, including sub-properties of object fields (like "address.city").
+function getField(fields = {}, prop = '') {
+  if (fields[prop]) return fields[prop];
+  const [parentProp, ...subProps] = prop.split('.');
+  const parent = fields[parentProp];
+  if (!parent || !parent.fields || subProps.length === 0) return undefined;
+  return getField(parent.fields, subProps.join('.'));
+}
 
 function getWhereMatching(props = [], values = [], fields = {}) {
   const where = [];
   const params = [];
   props.forEach((prop, i) => {
-    const { clause, params: additionalParams } = fields[prop].getWhereClause('=', values[i]);
+    const { clause, params: additionalParams } = getField(fields, prop).getWhereClause('=', values[i]);
     where.push(clause);
     params.push(...additionalParams);
   });
   return { where, params };
 }
 
+// Validates every field before throwing, so that all errors can be reported at once.
+// For partial objects (updates), only the props that are present are checked.
+async function validateObject(obj = {}, fields = {}, partial = false) {
+  const props = Object.keys(fields).filter(prop => !partial || obj[prop] !== undefined);
+  const errors = await Promise.all(
+    props.map(async prop => fields[prop].getValidationErrors(obj[prop], obj, partial))
+  );
+  const validationErrors = _.flatten(errors);
+  if (validationErrors.length > 0) {
+    throw new ValidationError(validationErrors);
+  }
+}
+
+async function getInsertRow(createObj = {}, fields = {}, partial = false) {
+  const columns = [];
+  const params = [];
+  await validateObject(createObj, fields, partial);
+  await Promise.all(
+    Object.keys(createObj).map(async (prop) => {
+      const field = fields[prop];
+      if (field) {
+        const value = createObj[prop];
+        const rowObj = await field.getRowFromValue(value, createObj);
+        Object.keys(rowObj).forEach((column) => {
+          columns.push(column);
+          params.push(rowObj[column]);
+        });
+      }
+    })
+  );
+  return { columns, params };
+}
+
+// Throws if any of the schema statements may lose data, unless that is allowed.
+function checkSchemaStatements(statements = [], allowDestructive = false) {
+  const unsafeStatements = statements.filter(({ kind }) => kind !== 'safe');
+  if (!allowDestructive && unsafeStatements.length > 0) {
+    const error = new Error('destructive_schema_changes');
+    error.statements = unsafeStatements;
+    throw error;
+  }
+}
+
 async function getSettersFromUpdateObj(updateObj = {}, fields = {}) {
   const setter = [];
   const params = [];
+  await validateObject(updateObj, fields, true);
   await Promise.all(
     Object.keys(updateObj).map(async (prop) => {
       const field = fields[prop];
       if (field) {
         const value = updateObj[prop];
-        const rowObj = await field.getRowObject(value, updateObj);
+        const rowObj = await field.getRowFromValue(value, updateObj);
         Object.keys(rowObj).forEach((column) => {
           setter.push(`${column} = ?`);
           params.push(rowObj[column]);
@@ -347,33 +791,97 @@ function getNames(name, tablePrefix) {
     singularTitle: names.singularTitle || _.upperFirst(_.camelCase(singularName)),
     pluralTitle: names.pluralTitle || _.upperFirst(_.camelCase(pluralName)),
     tableName: `${tablePrefix}${names.tableName || _.snakeCase(pluralName)}`,
+    previousTableNames: (names.previousTableNames || []).map(previousTableName => `${tablePrefix}${previousTableName}`),
   };
 }
 
-function getFieldsInfo(defns = {}) {
+function getFieldsInfo(defns = {}, dialect) {
   const schema = {};
   const fields = {};
+  const columnRenames = {};
   Object.keys(defns).forEach((prop) => {
-    const defn = defns[prop];
-    if (defn instanceof Field) {
-      defn.setProp(prop);
-      fields[prop] = defn;
-    } else if (typeof defn === 'object') {
-      const fieldType = defn.type;
-      const Type = FIELD_TYPES[fieldType];
-      if (!Type) throw new Error(`unknown_type_${fieldType}`);
-      const field = new Type(defn);
-      field.setProp(prop);
-      fields[prop] = field;
-    } else {
-      throw new Error(`unknown_field_defn_${defn}`);
-    }
+    const field = createField(defns[prop], prop);
+    field.setDialect(dialect);
+    fields[prop] = field;
     Object.assign(schema, fields[prop].getSchema());
+    Object.assign(columnRenames, fields[prop].getColumnRenames());
   });
-  return { schema, fields };
+  return { schema, fields, columnRenames };
 }
 
-function getIndexInfo(defns = [], fields = {}, tableName) {
+// The fields of a model include the ones added by its options, like timestamps.
+function getModelFieldDefns(defn = {}) {
+  const {
+    fields: fieldDefns = {},
+    softDelete = false,
+    timestamps = false,
+    versioned = false,
+  } = defn;
+  const {
+    createdAt: createdAtProp = 'createdAt',
+    updatedAt: updatedAtProp = 'updatedAt',
+  } = (typeof timestamps === 'object' ? timestamps : {});
+  const allFieldDefns = { ...fieldDefns };
+  if (timestamps) {
+    allFieldDefns[createdAtProp] = fieldDefns[createdAtProp] || { type: 'date' };
+    allFieldDefns[updatedAtProp] = fieldDefns[updatedAtProp] || { type: 'date' };
+  }
+  // Versioned rows have a version number that is bumped on every update.
+  if (versioned) {
+    allFieldDefns.version = fieldDefns.version || { type: 'number' };
+  }
+  // Soft deleted rows have a deletedAt date, and are left out unless they are asked for.
+  if (softDelete) {
+    allFieldDefns.deletedAt = fieldDefns.deletedAt || { type: 'date' };
+  }
+  return allFieldDefns;
+}
+
+function getFieldJsonSchema(field) {
+  const jsonSchema = _.omitBy({
+    ...field.getJsonSchema(),
+    description: field.description,
+    default: field.defaultValue,
+  }, _.isUndefined);
+  // Fields that aren't required can be null, except IDs which are set automatically.
+  if (field.isRequired() || field instanceof IdField) return jsonSchema;
+  if (typeof jsonSchema.type === 'string') {
+    jsonSchema.type = [jsonSchema.type, 'null'];
+  } else if (Array.isArray(jsonSchema.type) && !jsonSchema.type.includes('null')) {
+    jsonSchema.type = [...jsonSchema.type, 'null'];
+  }
+  if (Array.isArray(jsonSchema.enum) && !jsonSchema.enum.includes(null)) {
+    jsonSchema.enum = [...jsonSchema.enum, null];
+  }
+  return jsonSchema;
+}
+
+function getFieldsJsonSchema(fields = {}) {
+  return {
+    type: 'object',
+    properties: _.mapValues(fields, getFieldJsonSchema),
+    required: Object.keys(fields).filter(prop => fields[prop].isRequired()),
+    additionalProperties: false,
+  };
+}
+
+// Finds the columns of the old schema that were renamed, as { oldColumnName: columnName }.
+function getRenamedColumns(schema = {}, oldSchema = {}, columnRenames = {}) {
+  const renamedColumns = {};
+  Object.keys(columnRenames).forEach((columnName) => {
+    if (!schema[columnName] || oldSchema[columnName]) return;
+    const oldColumnName = columnRenames[columnName].find((previousColumnName) => {
+      return oldSchema[previousColumnName] && !schema[previousColumnName] && !renamedColumns[previousColumnName];
+    });
+    if (oldColumnName) {
+      renamedColumns[oldColumnName] = columnName;
+    }
+  });
+  return renamedColumns;
+}
+
+// Unique indices only apply to the rows matching `uniqueWhere` if it's given (like rows that aren't deleted).
+function getIndexInfo(defns = [], fields = {}, tableName, dialect, uniqueWhere) {
   const indices = {};
   const uniques = defns.filter(idx => idx.type === 'unique').map(idx => idx.fields);
   const queries = defns.filter(idx => (idx.type === 'tree' || idx.type === 'hash'));
@@ -383,85 +891,212 @@ function getIndexInfo(defns = [], fields = {}, tableName) {
       const { fields: uniqueProps = [] } = index;
       uniqueProps.forEach((propAndDir) => {
         const [prop, dir = 'ASC'] = propAndDir.split(' ');
-        const field = fields[prop];
+        const field = getField(fields, prop);
         if (!field) throw new Error(`unknown_field_${prop}`);
         columns.push(`${field.getSortColumn()} ${dir}`);
       });
-      const indexName = `idx_uniq_${objHash(columns)}`;
-      indices[indexName] = `UNIQUE INDEX ${indexName} ON ${tableName} (${columns.join(',')})`;
+      const indexName = dialect.getIndexName('uniq', tableName, (uniqueWhere ? [...columns, uniqueWhere] : columns));
+      indices[indexName] = dialect.getIndexDefinition(index.type, indexName, tableName, columns, uniqueWhere);
     } else if (index.type === 'fulltext') {
       const { fields: uniqueProps = [] } = index;
       uniqueProps.forEach((propAndDir) => {
         const [prop, dir = 'ASC'] = propAndDir.split(' ');
-        const field = fields[prop];
+        const field = getField(fields, prop);
         if (!field) throw new Error(`unknown_field_${prop}`);
         columns.push(`${field.getSortColumn()} ${dir}`);
       });
-      const indexName = `idx_ft_${objHash(columns)}`;
-      indices[indexName] = `FULLTEXT INDEX ${indexName} ON ${tableName} (${columns.join(',')})`;
+      const indexName = dialect.getIndexName('ft', tableName, columns);
+      indices[indexName] = dialect.getIndexDefinition(index.type, indexName, tableName, columns);
     } else if (index.type === 'hash') {
       const { fields: indexProps = [], sort: sortProps = [] } = index;
       indexProps.forEach((propAndDir) => {
         const [prop, dir = 'ASC'] = propAndDir.split(' ');
-        const field = fields[prop];
+        const field = getField(fields, prop);
         if (!field) throw new Error(`unknown_field_${prop}`);
         columns.push(`${field.getSortColumn()} ${dir}`);
       });
       sortProps.forEach((propAndDir) => {
         const [prop, dir = 'ASC'] = propAndDir.split(' ');
-        const field = fields[prop];
+        const field = getField(fields, prop);
         if (!field) throw new Error(`unknown_field_${prop}`);
         columns.push(`${field.getSortColumn()} ${dir}`);
       });
-      const indexName = `idx_hash_${objHash(columns)}`;
-      indices[indexName] = `INDEX ${indexName} USING HASH ON ${tableName} (${columns.join(',')})`;
+      const indexName = dialect.getIndexName('hash', tableName, columns);
+      indices[indexName] = dialect.getIndexDefinition(index.type, indexName, tableName, columns);
     } else if (index.type === 'tree') {
       const { fields: indexProps = [], sort: sortProps = [] } = index;
       indexProps.forEach((propAndDir) => {
         const [prop, dir = 'ASC'] = propAndDir.split(' ');
-        const field = fields[prop];
+        const field = getField(fields, prop);
         if (!field) throw new Error(`unknown_field_${prop}`);
         columns.push(`${field.getSortColumn()} ${dir}`);
       });
       sortProps.forEach((propAndDir) => {
         const [prop, dir = 'ASC'] = propAndDir.split(' ');
-        const field = fields[prop];
+        const field = getField(fields, prop);
         if (!field) throw new Error(`unknown_field_${prop}`);
         columns.push(`${field.getSortColumn()} ${dir}`);
       });
-      const indexName = `idx_btree_${objHash(columns)}`;
-      indices[indexName] = `INDEX ${indexName} USING BTREE ON ${tableName} (${columns.join(',')})`;
+      const indexName = dialect.getIndexName('btree', tableName, columns);
+      indices[indexName] = dialect.getIndexDefinition(index.type, indexName, tableName, columns);
     }
   });
   return { indices, uniques, queries };
 }
 
+// Makes sure the props needed to load the included relations are fetched.
+function getFieldsForIncludes(fields = {}, viewFields = [], include = []) {
+  if (viewFields.length === 0) return viewFields;
+  const relationProps = include.map(relation => (fields[relation] ? relation : 'id'));
+  return _.uniq([...viewFields, ...relationProps]);
+}
+
+// Filters are { prop, op, value } objects, or { or: [...filters] } and { and: [...filters] } groups.
+function getFilterWhereClause(fields, filter) {
+  if (filter.or || filter.and) {
+    const group = (filter.or ? 'OR' : 'AND');
+    const clauses = (filter.or || filter.and).filter(subFilter => subFilter).map(subFilter => getFilterWhereClause(fields, subFilter));
+    if (clauses.length === 0) {
+      return { clause: (group === 'OR' ? '1 = 0' : '1 = 1'), params: [] };
+    }
+    return {
+      clause: `(${clauses.map(({ clause }) => clause).join(` ${group} `)})`,
+      params: _.flatMap(clauses, ({ params }) => params),
+    };
+  }
+  if (!filter.prop) throw new Error('invalid_filter');
+  const field = getField(fields, filter.prop);
+  if (!field) throw new Error(`unknown_field_${filter.prop}`);
+  const { clause, params } = field.getWhereClause(getFilterOp(filter.op), filter.value);
+  return { clause: `(${clause})`, params };
+}
+
+// Models are referred to by their title (like "User") or singular name (like "user").
+function getModel(models, ref) {
+  if (!ref) return null;
+  return models[ref] || _.find(models, ({ names }) => names.singularName === _.toLower(ref)) || null;
+}
+
+// Sorts given like "name" or "-name" (descending), as in URLs and GraphQL arguments, can only be by the model's fields.
+function parseSortProp(sortProp, fields) {
+  const [, desc, prop] = String(sortProp).match(/^(-?)(.*)$/);
+  if (!Object.prototype.hasOwnProperty.call(fields, prop)) throw new Error(`invalid_sort_${prop}`);
+  return (desc ? `${prop} DESC` : prop);
+}
+
+// Merges a named view from the model definition with the given view options.
+function getViewOptions(views = {}, viewOptions = {}) {
+  const { view, ...overrides } = viewOptions;
+  if (!view) return viewOptions;
+  const viewDefn = views[view];
+  if (!viewDefn) throw new Error(`unknown_view_${view}`);
+  return {
+    ...viewDefn,
+    ...overrides,
+    filters: [...(viewDefn.filters || []), ...(overrides.filters || [])],
+  };
+}
+
+// Cursors are the sort values of the last row of a page, so that the next page can start
+// right after it. Dates are tagged so that they are passed back to the DB as dates.
+function encodeCursor(values) {
+  const json = JSON.stringify(values.map(value => (value instanceof Date ? { date: value.toISOString() } : value)));
+  return Buffer.from(json).toString('base64');
+}
+
+function decodeCursor(cursor, length) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+  } catch (e) {
+    throw new Error('invalid_cursor');
+  }
+  if (!Array.isArray(values) || values.length !== length) throw new Error('invalid_cursor');
+  return values.map(value => (value && value.date ? new Date(value.date) : value));
+}
+
+// Matches the rows that come after the given values in the sort order, eg. for
+// `a ASC, b DESC` it's `(a > ?) OR (a = ? AND b < ?)`. NULLs come first in ascending order
+// (and last in descending order), so nothing comes after a NULL in descending order.
+function getKeysetWhereClause(sortKeys, values) {
+  const params = [];
+  const clauses = [];
+  sortKeys.forEach(({ column, desc, nullable }, i) => {
+    const equals = sortKeys.slice(0, i).map((sortKey, j) => {
+      if (values[j] === null) return `${sortKey.column} IS NULL`;
+      params.push(values[j]);
+      return `${sortKey.column} = ?`;
+    });
+    let after;
+    if (values[i] === null) {
+      if (desc) return;
+      after = `${column} IS NOT NULL`;
+    } else {
+      params.push(values[i]);
+      after = `${column} ${desc ? '<' : '>'} ?`;
+      if (desc && nullable) after = `(${after} OR ${column} IS NULL)`;
+    }
+    clauses.push(`(${[...equals, after].join(' AND ')})`);
+  });
+  return { clause: `(${clauses.join(' OR ')})`, params };
+}
+
 function handleViewOptions(fields, viewOptions = {}) {
   const {
     fields: viewFields = [],
     filters = [],
     sort: sortFields = [],
-    limit,
-    offset,
+    first,
+    after,
     map,
   } = viewOptions;
+  let { limit, offset } = viewOptions;
   const params = [];
   const sortColumns = [];
   const where = [];
-  const columnNames = getColumnNamesForSelect(fields, viewFields);
+  const sortKeys = [];
+  let columnNames = getColumnNamesForSelect(fields, viewFields);
   sortFields.forEach((propAndDir) => {
-    const [prop, dir = 'ASC'] = propAndDir.split(' ');
-    const field = fields[prop];
+    // The direction ends up in the SQL, so it can only be ASC or DESC.
+    const [prop, dir = 'ASC', ...rest] = String(propAndDir).trim().split(/\s+/);
+    if (rest.length > 0 || !['ASC', 'DESC'].includes(_.toUpper(dir))) throw new Error(`invalid_sort_${propAndDir}`);
+    const field = getField(fields, prop);
     if (!field) throw new Error(`unknown_field_${prop}`);
-    sortColumns.push(`${field.getSortColumn()} ${dir}`);
+    const desc = (_.toUpper(dir) === 'DESC');
+    const nullable = !(field.isRequired() || field instanceof IdField);
+    sortColumns.push(`${field.getSortColumn()} ${dir}${nullable ? field.dialect.getNullsOrder(desc) : ''}`);
+    sortKeys.push({ column: field.getSortColumn(), desc, nullable });
   });
   filters.forEach((filter) => {
-    if (filter && filter.prop && fields[filter.prop]) {
-      const { clause, params: additionalParams } = fields[filter.prop].getWhereClause(filter.op, filter.value);
+    if (!filter) return;
+    const { clause, params: additionalParams } = getFilterWhereClause(fields, filter);
+    where.push(clause);
+    params.push(...additionalParams);
+  });
+  const paginated = (first !== undefined || after !== undefined);
+  const cursorColumns = [];
+  if (paginated) {
+    if (!fields.id) throw new Error('pagination_needs_id');
+    if (first !== undefined && !(Number.isInteger(first) && first >= 0)) throw new Error('invalid_first');
+    // The ID breaks ties, so that every row has a unique position in the sort order.
+    const idColumn = fields.id.getSortColumn();
+    if (!sortKeys.some(({ column }) => column === idColumn)) {
+      sortColumns.push(`${idColumn} ASC`);
+      sortKeys.push({ column: idColumn, desc: false });
+    }
+    if (after !== undefined && after !== null) {
+      const { clause, params: additionalParams } = getKeysetWhereClause(sortKeys, decodeCursor(after, sortKeys.length));
       where.push(clause);
       params.push(...additionalParams);
     }
-  });
+    sortKeys.forEach(({ column }, i) => {
+      cursorColumns.push(`cursor_${i}`);
+      columnNames = `${columnNames},${column} AS cursor_${i}`;
+    });
+    // Fetches one more row to know if there is a next page.
+    limit = (first !== undefined ? first + 1 : undefined);
+    offset = undefined;
+  }
   return {
     viewFields,
     columnNames,
@@ -471,17 +1106,60 @@ function handleViewOptions(fields, viewOptions = {}) {
     limit,
     offset,
     map,
+    paginated,
+    first,
+    cursorColumns,
   };
 }
 
+// Describes the objects of a model as a JSON Schema.
+exports.getModel = getModel;
+exports.parseSortProp = parseSortProp;
+
+exports.toJsonSchema = (defn = {}, opts = {}) => {
+  const { singularTitle } = getNames(defn.name, '');
+  const { fields } = getFieldsInfo(getModelFieldDefns(defn), getDialect(opts.dialect));
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: singularTitle,
+    ...getFieldsJsonSchema(fields),
+  };
+};
+
+// Describes the models as OpenAPI components, with a schema for each model.
+exports.toOpenApi = (defns = [], opts = {}) => {
+  const { title = 'API', version = '1.0.0' } = opts;
+  const schemas = {};
+  defns.forEach((defn) => {
+    const { $schema, ...jsonSchema } = exports.toJsonSchema(defn, opts);
+    schemas[jsonSchema.title] = jsonSchema;
+  });
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    paths: {},
+    components: { schemas },
+  };
+};
+
 exports.init = async (opts = {}) => {
   const {
     models: modelDefns = {},
-    db = null,
+    db: untrackedDb = null,
     log = { info: NOOP, debug: NOOP },
     tablePrefix = '',
     metaTable = 'meta_schema',
+    migrationsTable = 'meta_migrations',
+    migrations = [],
+    bulkChunkSize = 500,
   } = opts;
+  const dialect = getDialect(opts.dialect);
+  const cache = (opts.cache === true ? new LruCache({ ttl: DEFAULT_CACHE_TTL }) : (opts.cache || null));
+  const auditTable = `${tablePrefix}audit_log`;
+  migrations.forEach(({ id, up, phase = 'after' } = {}, i) => {
+    if (!id || typeof up !== 'function' || !MIGRATION_PHASES.includes(phase)) throw new Error('invalid_migration');
+    if (migrations.findIndex(migration => migration.id === id) !== i) throw new Error(`duplicate_migration_${id}`);
+  });
   const fns = {};
   const fnIndex = {
     schema: {},
@@ -491,14 +1169,104 @@ exports.init = async (opts = {}) => {
     delete: {},
   };
   const models = {};
-  modelDefns.forEach(async (defn = {}) => {
+  // Changed rows are removed from the cache right away, and again once the transaction has ended, since other
+  // connections could have cached them again in the meantime. Until then, the connection doesn't use the cache.
+  // Connections that aren't from the generated functions (or withTransaction) never use the cache again
+  // once they have changed rows, since they could be in a transaction.
+  const pendingCacheKeys = new WeakMap();
+  const db = trackTransactions(untrackedDb, async (conn) => {
+    const pendingKeys = pendingCacheKeys.get(conn);
+    pendingCacheKeys.delete(conn);
+    if (pendingKeys) await cache.del([...pendingKeys]);
+  });
+  const uncache = async (conn, keys) => {
+    if (!cache || keys.length === 0) return;
+    await cache.del(keys);
+    if (!pendingCacheKeys.has(conn)) pendingCacheKeys.set(conn, new Set());
+    keys.forEach(key => pendingCacheKeys.get(conn).add(key));
+  };
+  const getCacheKey = (tableName, codeNames, values) => `${tableName}:${codeNames}:${JSON.stringify(values.map(String))}`;
+  // Rows changed by the ON DELETE actions of foreign keys (and the rows those cascade to) are uncached too.
+  const getReferencingCacheKeys = async (conn, singularTitle, ids, seenKeys = new Set()) => {
+    const keys = [];
+    if (!cache || ids.length === 0) return keys;
+    const titles = Object.keys(models).filter(title => models[title].fields.id);
+    for (let i = 0; i < titles.length; i++) {
+      const { names, fields } = models[titles[i]];
+      const refProps = Object.keys(fields).filter((prop) => {
+        const field = fields[prop];
+        return field instanceof RefField && field.foreignKey && field.ref &&
+          ['CASCADE', 'SET NULL'].includes(field.getOnDeleteAction()) && getRefModel(field.ref) === models[singularTitle];
+      });
+      for (let j = 0; j < refProps.length; j++) {
+        const field = fields[refProps[j]];
+        const { clause, params } = field.getWhereClause('in', ids);
+        const rows = await dialect.select(conn, `SELECT id FROM ${names.tableName} WHERE ${clause}`, params);
+        const refIds = [];
+        rows.forEach(({ id }) => {
+          const key = getCacheKey(names.tableName, 'Id', [id]);
+          if (seenKeys.has(key)) return;
+          seenKeys.add(key);
+          keys.push(key);
+          refIds.push(id);
+        });
+        if (field.getOnDeleteAction() === 'CASCADE') {
+          keys.push(...(await getReferencingCacheKeys(conn, titles[i], refIds, seenKeys)));
+        }
+      }
+    }
+    return keys;
+  };
+  const ensureMetaTable = async (conn) => {
+    await dialect.query(conn, `
+      CREATE TABLE IF NOT EXISTS ${metaTable} (
+        name VARCHAR(31) PRIMARY KEY,
+        hash VARCHAR(127),
+        schema_obj TEXT
+      )
+    `);
+  };
+  // Planning only reads, so it treats a missing meta (or migrations) table as empty instead of creating it.
+  const hasTable = async (conn, tableName) => {
+    const rows = await dialect.select(conn, dialect.getTableExistsSql(), [tableName]);
+    return (rows || []).length > 0;
+  };
+  // Looks for the table under its previous names too, in case it was renamed.
+  const getTableMeta = async (conn, names) => {
+    const { tableName, previousTableNames } = names;
+    const tableNames = [tableName, ...previousTableNames];
+    for (let i = 0; i < tableNames.length; i++) {
+      const hashRows = await dialect.select(conn, `
+        SELECT hash, schema_obj FROM ${metaTable} WHERE name = ? LIMIT 1
+      `, [tableNames[i]]);
+      const [hashRow] = hashRows || [];
+      if (hashRow) {
+        return {
+          oldHash: hashRow.hash || '',
+          oldSchemaObj: (hashRow.schema_obj ? JSON.parse(hashRow.schema_obj) : {}),
+          oldTableName: tableNames[i],
+        };
+      }
+    }
+    return { oldHash: '', oldSchemaObj: {}, oldTableName: tableName };
+  };
+  modelDefns.forEach((defn = {}) => {
     const {
       name,
-      fields: fieldDefns = {},
       indices: indexDefns = [],
+      views = {},
+      softDelete = false,
+      timestamps = false,
+      versioned = false,
+      audit = false,
+      hooks = {},
       map: finalMap,
     } = defn;
     const names = getNames(name, tablePrefix);
+    // Relations are either the model, or an object with the model (and field and sort).
+    const hasMany = _.mapValues(defn.hasMany || {}, relationDefn => (
+      typeof relationDefn === 'string' ? { model: relationDefn } : relationDefn
+    ));
     const {
       singularName,
       pluralName,
@@ -506,15 +1274,237 @@ exports.init = async (opts = {}) => {
       pluralTitle,
       tableName,
     } = names;
-    const { schema, fields } = getFieldsInfo(fieldDefns);
-    const { uniques, queries, indices } = getIndexInfo(indexDefns, fields, tableName);
-    const tableHash = objHash({ schema, indices });
-    const tableSchemaJson = JSON.stringify({ schema, indices });
+    const {
+      createdAt: createdAtProp = 'createdAt',
+      updatedAt: updatedAtProp = 'updatedAt',
+      allowManual: allowManualTimestamps = false,
+    } = (typeof timestamps === 'object' ? timestamps : {});
+    const { schema, fields, columnRenames } = getFieldsInfo(getModelFieldDefns(defn), dialect);
+    if (audit && !schema.id) throw new Error(`audit_needs_id_${name}`);
+    const notDeletedClause = (softDelete ? `${fields.deletedAt.columnName} IS NULL` : null);
+    const { uniques, queries, indices } = getIndexInfo(indexDefns, fields, tableName, dialect, notDeletedClause);
+    const getNotDeletedWhere = (where = []) => (softDelete ? [...where, notDeletedClause] : where);
+    const getDeletedFilters = ({ withDeleted, onlyDeleted } = {}) => {
+      if (!softDelete || withDeleted) return [];
+      return [{ prop: 'deletedAt', op: (onlyDeleted ? 'isNotNull' : 'isNull') }];
+    };
+    // Timestamps are set automatically, and can only be set by hand if that is allowed.
+    const checkTimestamps = (obj = {}) => {
+      if (!timestamps || allowManualTimestamps) return;
+      const errors = [createdAtProp, updatedAtProp].filter(prop => obj[prop] !== undefined).map(prop => ({
+        prop,
+        code: 'timestamp_not_settable',
+        message: `${fields[prop].getReadableName()} is set automatically.`,
+        value: obj[prop],
+      }));
+      if (errors.length > 0) throw new ValidationError(errors);
+    };
+    const getTimestampedCreateObj = (createObj = {}) => {
+      if (!timestamps) return createObj;
+      checkTimestamps(createObj);
+      const now = new Date();
+      return _.defaults({ ...createObj }, { [createdAtProp]: now, [updatedAtProp]: now });
+    };
+    const getTimestampedUpdateObj = (updateObj = {}) => {
+      if (!timestamps) return updateObj;
+      checkTimestamps(updateObj);
+      return _.defaults({ ...updateObj }, { [updatedAtProp]: new Date() });
+    };
+    const getVersionedCreateObj = (createObj = {}) => {
+      if (!versioned) return createObj;
+      if (createObj.version !== undefined) {
+        throw new ValidationError([{
+          prop: 'version',
+          code: 'version_not_settable',
+          message: `${fields.version.getReadableName()} is set automatically.`,
+          value: createObj.version,
+        }]);
+      }
+      return { ...createObj, version: 1 };
+    };
+    Object.keys(hooks).forEach((hookName) => {
+      if (!HOOK_NAMES.includes(hookName)) throw new Error(`unknown_hook_${hookName}`);
+    });
+    const runHook = async (hookName, conn, ...args) => {
+      if (typeof hooks[hookName] !== 'function') return undefined;
+      return hooks[hookName](conn, ...args);
+    };
+    // Before hooks (and afterFetch) can return a new object to use instead of the one they got.
+    const runReplacingHook = async (hookName, conn, obj, ...args) => {
+      const newObj = await runHook(hookName, conn, obj, ...args);
+      return (newObj === undefined ? obj : newObj);
+    };
+    const getFetchedObject = async (conn, row, viewFields) => {
+      const obj = await runReplacingHook('afterFetch', conn, await getObjectFromRow(row, fields, viewFields));
+      return (typeof finalMap === 'function' ? finalMap(obj) : obj);
+    };
+    // The match is an object of the props (and values) the rows are looked up by, to pass to the hooks.
+    // Audited rows are read before and after each change, so that only the changed props are logged.
+    const getAuditObjs = async (conn, where, params, limit) => {
+      const rows = await dialect.select(conn, `
+        SELECT * FROM ${tableName}
+        WHERE ${where.join(' AND ')}
+        ${dialect.getLimitClause(limit)}
+      `, params);
+      const objs = await Promise.all(rows.map(async row => getObjectFromRow(row, fields)));
+      return _.keyBy(objs, 'id');
+    };
+    const getAuditObjsById = async (conn, ids = []) => {
+      if (ids.length === 0) return {};
+      const { clause, params } = fields.id.getWhereClause('in', ids);
+      return getAuditObjs(conn, [clause], params);
+    };
+    const ignoredAuditProps = [...(timestamps ? [updatedAtProp] : []), ...(versioned ? ['version'] : [])];
+    const writeAuditLog = async (conn, operation, beforeObjs = {}, afterObjs = {}, context = {}) => {
+      const { actor } = context || {};
+      const rowIds = _.union(Object.keys(beforeObjs), Object.keys(afterObjs));
+      for (let i = 0; i < rowIds.length; i++) {
+        const beforeObj = beforeObjs[rowIds[i]] || {};
+        const afterObj = afterObjs[rowIds[i]] || {};
+        const changes = {};
+        Object.keys(fields).forEach((prop) => {
+          const before = (beforeObj[prop] === undefined ? null : beforeObj[prop]);
+          const after = (afterObj[prop] === undefined ? null : afterObj[prop]);
+          if (!_.isEqual(before, after)) changes[prop] = { before, after };
+        });
+        // Updates that didn't change anything (but the version or updatedAt) aren't logged.
+        if (_.isEmpty(_.omit(changes, ignoredAuditProps))) continue;
+        await dialect.query(conn, `
+          INSERT INTO ${auditTable}
+            (model, row_id, operation, changes, actor, created_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+          singularTitle,
+          rowIds[i],
+          operation,
+          JSON.stringify(changes),
+          (actor === undefined || actor === null ? null : String(actor)),
+          new Date(),
+        ]);
+      }
+    };
+    // Rows fetched with all their fields are cached by ID, and the unique getters cache the ID of the row they
+    // found. Connections with uncommitted changes skip the cache, so that those changes aren't cached.
+    const useCache = (conn, viewFields = []) => (!!cache && !!fields.id && viewFields.length === 0 && !pendingCacheKeys.has(conn));
+    const getModelCacheKey = (codeNames, values) => getCacheKey(tableName, codeNames, values);
+    const getCachedIds = async (conn, match, where, params) => {
+      if (!cache || !fields.id) return [];
+      if (match.id !== undefined) return [match.id];
+      const rows = await dialect.select(conn, `
+        SELECT id FROM ${tableName}
+        WHERE ${where.join(' AND ')}
+      `, params);
+      return _.map(rows, 'id');
+    };
+    const uncacheIds = async (conn, ids) => uncache(conn, ids.map(id => getModelCacheKey('Id', [id])));
+    // Versioned rows are only updated if they are still at the version in the update object.
+    // Runs the beforeUpdate hook and validates the update, before anything is written.
+    const getUpdate = async (conn, match, updateObj) => {
+      const hookedUpdateObj = await runReplacingHook('beforeUpdate', conn, updateObj, match);
+      const timestampedUpdateObj = getTimestampedUpdateObj(hookedUpdateObj);
+      const { version, ...versionlessUpdateObj } = timestampedUpdateObj;
+      if (versioned && (version === undefined || version === null)) {
+        throw new ValidationError([{
+          prop: 'version',
+          code: 'version_required',
+          message: `${fields.version.getReadableName()} is required.`,
+          value: version,
+        }]);
+      }
+      const { setter, params } = await getSettersFromUpdateObj((versioned ? versionlessUpdateObj : timestampedUpdateObj), fields);
+      return { hookedUpdateObj, version, setter, params };
+    };
+    const updateRows = async (conn, match, updateObj, where, whereParams, context, update = null) => {
+      const { hookedUpdateObj, version, setter, params } = update || await getUpdate(conn, match, updateObj);
+      const versionMatching = (versioned ? getWhereMatching(['version'], [version], fields) : { where: [], params: [] });
+      if (versioned) {
+        const { columnName } = fields.version;
+        setter.push(`${columnName} = ${columnName} + 1`);
+      }
+      const updateWhere = getNotDeletedWhere([...where, ...versionMatching.where]);
+      const updateParams = [...whereParams, ...versionMatching.params];
+      const beforeObjs = (audit ? await getAuditObjs(conn, updateWhere, updateParams) : {});
+      const cachedIds = await getCachedIds(conn, match, updateWhere, updateParams);
+      const result = await dialect.query(conn, `
+        UPDATE ${tableName} SET
+          ${setter.join(',')}
+        WHERE ${updateWhere.join(' AND ')}
+      `, [...params, ...updateParams]);
+      const affectedRows = dialect.getAffectedRows(result);
+      // No row being updated is only stale if the row exists (at another version).
+      if (versioned && affectedRows === 0) {
+        const rows = await dialect.select(conn, `
+          SELECT 1 AS found FROM ${tableName}
+          WHERE ${getNotDeletedWhere(where).join(' AND ')} LIMIT 1
+        `, whereParams);
+        if (rows.length > 0) throw new StaleObjectError(singularTitle, match, version);
+      }
+      await uncacheIds(conn, cachedIds);
+      if (audit) {
+        await writeAuditLog(conn, 'update', beforeObjs, await getAuditObjsById(conn, _.map(beforeObjs, 'id')), context);
+      }
+      await runHook('afterUpdate', conn, hookedUpdateObj, match, affectedRows);
+    };
+    const deleteRows = async (conn, match, where, params, deleteOpts = {}) => {
+      const { limit, purge = false, context } = deleteOpts;
+      await runHook('beforeDelete', conn, match);
+      const beforeObjs = (audit ? await getAuditObjs(conn, (purge ? where : getNotDeletedWhere(where)), params, limit) : {});
+      const cachedIds = await getCachedIds(conn, match, where, params);
+      // Only rows that are really deleted set off the ON DELETE actions.
+      const referencingKeys = (!softDelete || purge ? await getReferencingCacheKeys(conn, singularTitle, cachedIds) : []);
+      const result = await (!softDelete || purge ?
+        dialect.query(conn, dialect.getDeleteSql(tableName, where, limit), params) :
+        dialect.query(conn, `
+          UPDATE ${tableName} SET
+            ${fields.deletedAt.columnName} = ?
+          WHERE ${getNotDeletedWhere(where).join(' AND ')}
+        `, [new Date(), ...params]));
+      await uncacheIds(conn, cachedIds);
+      await uncache(conn, referencingKeys);
+      if (audit) {
+        const afterObjs = await getAuditObjsById(conn, _.map(beforeObjs, 'id'));
+        await writeAuditLog(conn, (purge ? 'purge' : 'delete'), beforeObjs, afterObjs, context);
+      }
+      await runHook('afterDelete', conn, match, dialect.getAffectedRows(result));
+    };
+    // Rows that set their own ID are inserted one at a time, since the insert ID may not be theirs.
+    const getCreatedId = ({ columns, params }, result) => {
+      const idIndex = (schema.id ? columns.indexOf('id') : -1);
+      if (idIndex >= 0 && params[idIndex] !== null && params[idIndex] !== undefined) return params[idIndex];
+      return dialect.getInsertId(result);
+    };
+    const existsName = `${_.lowerFirst(singularTitle)}Exists`;
     const getListOptionsArg = {
       name: 'viewOptions',
-      type: 'object{fields, sort, limit, offset}',
+      type: `object{view, fields, sort, filters, limit, offset, first, after, include${softDelete ? ', withDeleted, onlyDeleted' : ''}}`,
       description: `Options for fetching ${pluralName}.`,
     };
+    const countOptionsArg = {
+      name: 'viewOptions',
+      type: `object{view, filters${softDelete ? ', withDeleted, onlyDeleted' : ''}}`,
+      description: `Options for counting ${pluralName}.`,
+    };
+    const listReturns = {
+      type: `[${singularTitle}]`,
+      description: `The ${pluralName}, or a page of them if "first" or "after" is given.`,
+    };
+    const objReturns = {
+      type: singularTitle,
+      nullable: true,
+      description: `The ${singularName}, or null if it wasn't found.`,
+    };
+    const countReturns = {
+      type: 'int',
+      description: `The number of ${pluralName}.`,
+    };
+    const existsReturns = {
+      type: 'boolean',
+      description: `Whether the ${singularName} exists.`,
+    };
+    const idReturns = {
+      type: (fields.id ? fields.id.getReadableType() : 'int'),
+      description: `ID of the ${singularName}.`,
+    };
     const getFieldsArg = {
       name: 'fields',
       type: '[string]',
@@ -526,60 +1516,84 @@ exports.init = async (opts = {}) => {
       type: 'object',
       description: `Properties of ${singularName} to update.`,
     };
+    // Audited changes can say who made them.
+    const contextArgs = (audit ? [{
+      name: 'context',
+      type: 'object{actor}',
+      description: 'Who is making the change, for the audit log.',
+    }] : []);
+    const getCreateTableStatements = () => {
+      const { foreignKeys } = models[singularTitle];
+      return [
+        {
+          sql: dialect.getCreateTableSql(tableName, schema, foreignKeys),
+          description: `"${tableName}" table was created.`,
+          kind: 'safe',
+        },
+        ...Object.keys(indices).map(hash => ({
+          sql: `CREATE ${indices[hash]}`,
+          description: `Index "${hash}" was added to the "${tableName}" table.`,
+          kind: 'safe',
+        })),
+      ];
+    };
+    const getAlterTableStatements = (oldSchemaObj = {}) => {
+      const { foreignKeys } = models[singularTitle];
+      const {
+        schema: oldSchema = {},
+        indices: oldIndices = {},
+        foreignKeys: oldForeignKeys = {},
+      } = oldSchemaObj;
+      return dialect.getAlterTableStatements(tableName, {
+        schema,
+        oldSchema,
+        indices,
+        oldIndices,
+        foreignKeys,
+        oldForeignKeys,
+        renamedColumns: getRenamedColumns(schema, oldSchema, columnRenames),
+      });
+    };
+    fnIndex.schema[`plan${pluralTitle}Table`] = {
+      args: [],
+      description: `Lists the statements that would create or update the ${pluralName} table, without running them.`,
+      model: singularTitle,
+      returns: { type: '[object{sql, description, kind}]', description: 'The statements, in order.' },
+    };
+    fns[`plan${pluralTitle}Table`] = connifyAndRelease(db, fns, `plan${pluralTitle}Table`);
+    fns[`plan${pluralTitle}TableWithConn`] = async (conn) => {
+      const { tableHash } = models[singularTitle];
+      if (!(await hasTable(conn, metaTable))) return getCreateTableStatements();
+      const { oldHash, oldSchemaObj, oldTableName } = await getTableMeta(conn, names);
+      if (!oldHash) return getCreateTableStatements();
+      const statements = [];
+      if (oldTableName !== tableName) {
+        statements.push({
+          sql: dialect.getRenameTableSql(oldTableName, tableName),
+          description: `"${oldTableName}" table was renamed to "${tableName}".`,
+          kind: 'safe',
+        });
+      }
+      if (oldHash === tableHash) return statements;
+      return [...statements, ...getAlterTableStatements(oldSchemaObj)];
+    };
     fnIndex.schema[`ensure${pluralTitle}Table`] = {
       args: [],
       description: `Ensures the ${pluralName} table is up to date.`,
+      model: singularTitle,
     };
-    fns[`ensure${pluralTitle}Table`] = connifyAndCommit(db, fns, `ensure${pluralTitle}Table`);
-    fns[`ensure${pluralTitle}TableWithConn`] = async (conn, oldSchemaObj = {}) => {
-      const { schema: oldSchema = {}, indices: oldIndices = {} } = oldSchemaObj;
-      await Promise.all(
-        Object.keys(schema).map(async (columnName) => {
-          const columnType = schema[columnName];
-          const oldColumnType = oldSchema[columnName];
-          if (columnType !== oldColumnType) {
-            if (!oldColumnType) {
-              log.info(`"${columnName}" column was added to the "${tableName}" table.`);
-              await conn.query(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnType}`);
-            } else {
-              log.info(`"${columnName}" column was modified in the "${tableName}" table.`);
-              await conn.query(`ALTER TABLE ${tableName} MODIFY COLUMN ${columnName} ${columnType}`);
-            }
-          }
-        })
-      );
-      await Promise.all(
-        Object.keys(indices).map(async (hash) => {
-          if (!oldIndices[hash]) {
-            log.info(`Index "${hash}" was added to the "${tableName}" table.`);
-            await conn.query(`
-              CREATE ${indices[hash]}
-            `);
-          }
-        })
-      );
-      await Promise.all(
-        Object.keys(oldIndices).map(async (oldHash) => {
-          if (!indices[oldHash]) {
-            log.info(`Index "${oldHash}" was removed from the "${tableName}" table.`);
-            try {
-              await conn.query(`ALTER TABLE ${tableName} DROP INDEX ${oldHash}`);
-            } catch (e) {}
-          }
-        })
-      );
-      await Promise.all(
-        Object.keys(oldSchema).map(async (oldColumnName) => {
-          const column = schema[oldColumnName];
-          if (!column) {
-            log.info(`"${oldColumnName}" column was removed from the "${tableName}" table.`);
-            try {
-              await conn.query(`ALTER TABLE ${tableName} DROP COLUMN ${oldColumnName}`);
-            } catch (e) {}
-          }
-        })
-      );
-      await conn.query(`
+    fns[`ensure${pluralTitle}Table`] = connifyAndCommit(db, fns, `ensure${pluralTitle}Table`, SCHEMA_TRANSACTION);
+    fns[`ensure${pluralTitle}TableWithConn`] = async (conn, oldSchemaObj = {}, ensureOpts = {}) => {
+      const { tableHash, tableSchemaJson } = models[singularTitle];
+      const { allowDestructive = false } = ensureOpts;
+      const statements = getAlterTableStatements(oldSchemaObj);
+      checkSchemaStatements(statements, allowDestructive);
+      for (let i = 0; i < statements.length; i++) {
+        const { sql, description } = statements[i];
+        log.info(description);
+        await dialect.query(conn, sql);
+      }
+      await dialect.query(conn, `
         UPDATE ${metaTable} SET
           hash = ?, schema_obj = ?
         WHERE name = ?
@@ -588,36 +1602,27 @@ exports.init = async (opts = {}) => {
     fnIndex.schema[`forceUpdate${pluralTitle}MetaTable`] = {
       args: [],
       description: `Ensures the ${pluralName} metatable is up to date.`,
+      model: singularTitle,
     };
     fns[`forceUpdate${pluralTitle}MetaTable`] = connifyAndCommit(db, fns, `forceUpdate${pluralTitle}MetaTable`);
     fns[`forceUpdate${pluralTitle}MetaTableWithConn`] = async (conn, oldSchemaObj = {}) => {
-      await conn.query(`
-        INSERT INTO ${metaTable}
-          (name, hash, schema_obj)
-        VALUES (?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          hash = ?, schema_obj = ?
-      `, [tableName, tableHash, tableSchemaJson, tableHash, tableSchemaJson]);
+      const { tableHash, tableSchemaJson } = models[singularTitle];
+      await dialect.query(conn, dialect.getUpsertSql(metaTable, ['name', 'hash', 'schema_obj'], ['name']),
+        [tableName, tableHash, tableSchemaJson]);
     };
     fnIndex.schema[`create${pluralTitle}Table`] = {
       args: [],
       description: `Creates the ${pluralName} table.`,
+      model: singularTitle,
     };
-    fns[`create${pluralTitle}Table`] = connifyAndCommit(db, fns, `create${pluralTitle}Table`);
+    fns[`create${pluralTitle}Table`] = connifyAndCommit(db, fns, `create${pluralTitle}Table`, SCHEMA_TRANSACTION);
     fns[`create${pluralTitle}TableWithConn`] = async (conn) => {
-      await conn.query(`
-        CREATE TABLE IF NOT EXISTS ${tableName} (
-          ${Object.keys(schema).map((columnName) => {
-            return `${columnName} ${schema[columnName]}`;
-          }).join(',')}
-        )
-      `);
-      await Promise.all(
-        Object.keys(indices).map(async (hash) => {
-          await conn.query(`CREATE ${indices[hash]}`);
-        })
-      );
-      await conn.query(`
+      const { tableHash, tableSchemaJson } = models[singularTitle];
+      const statements = getCreateTableStatements();
+      for (let i = 0; i < statements.length; i++) {
+        await dialect.query(conn, statements[i].sql);
+      }
+      await dialect.query(conn, `
         INSERT INTO ${metaTable}
           (name, hash, schema_obj)
         VALUES (?, ?, ?)
@@ -626,11 +1631,12 @@ exports.init = async (opts = {}) => {
     fnIndex.schema[`drop${pluralTitle}Table`] = {
       args: [],
       description: `Drops the ${pluralName} table.`,
+      model: singularTitle,
     };
-    fns[`drop${pluralTitle}Table`] = connifyAndCommit(db, fns, `drop${pluralTitle}Table`);
+    fns[`drop${pluralTitle}Table`] = connifyAndCommit(db, fns, `drop${pluralTitle}Table`, SCHEMA_TRANSACTION);
     fns[`drop${pluralTitle}TableWithConn`] = async (conn) => {
-      await conn.query(`DROP TABLE IF EXISTS ${tableName}`);
-      await conn.query(`DELETE FROM ${metaTable} WHERE name = ?`, [tableName]);
+      await dialect.query(conn, `DROP TABLE IF EXISTS ${tableName}`);
+      await dialect.query(conn, `DELETE FROM ${metaTable} WHERE name = ?`, [tableName]);
     };
     fnIndex.create[`create${singularTitle}`] = {
       args: [
@@ -639,120 +1645,356 @@ exports.init = async (opts = {}) => {
           type: 'object',
           description: `Properties for a new ${singularName}.`,
         },
+        ...contextArgs,
       ],
       description: `Creates a new ${singularName}.`,
+      model: singularTitle,
+      returns: idReturns,
     };
     fns[`create${singularTitle}`] = connifyAndCommit(db, fns, `create${singularTitle}`);
-    fns[`create${singularTitle}WithConn`] = async (conn, createObj) => {
-      const columns = [];
-      const params = [];
-      Object.keys(fields).map(async (prop) => {
-        const field = fields[prop];
-        if (createObj[prop] === undefined && field.isRequired()) {
-          throw new Error(`required_field_${prop}_missing`);
+    fns[`create${singularTitle}WithConn`] = async (conn, createObj, context) => {
+      const hookedCreateObj = await runReplacingHook('beforeCreate', conn, createObj);
+      const { columns, params } = await getInsertRow(getVersionedCreateObj(getTimestampedCreateObj(hookedCreateObj)), fields);
+      const result = await dialect.query(conn, dialect.getInsertSql(tableName, columns, schema.id ? 'id' : null), params);
+      const id = getCreatedId({ columns, params }, result);
+      if (audit) await writeAuditLog(conn, 'create', {}, await getAuditObjsById(conn, [id]), context);
+      await runHook('afterCreate', conn, hookedCreateObj, id);
+      return id;
+    };
+    fnIndex.create[`create${pluralTitle}`] = {
+      args: [
+        {
+          name: 'createObjs',
+          type: '[object]',
+          description: `Properties for each new ${singularName}.`,
+        },
+        ...contextArgs,
+      ],
+      description: `Creates new ${pluralName}, and returns their IDs in the same order.`,
+      model: singularTitle,
+      returns: { ...idReturns, type: `[${idReturns.type}]` },
+    };
+    fns[`create${pluralTitle}`] = connifyAndCommit(db, fns, `create${pluralTitle}`);
+    fns[`create${pluralTitle}WithConn`] = async (conn, createObjs = [], context) => {
+      const hookedCreateObjs = [];
+      const rows = [];
+      for (let i = 0; i < createObjs.length; i++) {
+        try {
+          hookedCreateObjs.push(await runReplacingHook('beforeCreate', conn, createObjs[i]));
+          rows.push(await getInsertRow(getVersionedCreateObj(getTimestampedCreateObj(hookedCreateObjs[i])), fields));
+        } catch (e) {
+          if (e instanceof ValidationError) e.index = i;
+          throw e;
         }
+      }
+      // Rows are inserted together when they have the same columns, and get their IDs from the DB.
+      const ids = rows.map(() => null);
+      const rowGroups = _.groupBy(_.range(rows.length), i => rows[i].columns.join(','));
+      const chunks = _.flatMap(Object.keys(rowGroups), (key) => {
+        const bulk = (key && !(schema.id && rows[rowGroups[key][0]].columns.includes('id')));
+        return _.chunk(rowGroups[key], (bulk ? bulkChunkSize : 1));
       });
-      await Promise.all(
-        Object.keys(createObj).map(async (prop) => {
-          const field = fields[prop];
-          if (field) {
-            const value = createObj[prop];
-            const rowObj = await field.getRowObject(value, createObj);
-            Object.keys(rowObj).forEach((column) => {
-              columns.push(column);
-              params.push(rowObj[column]);
-            });
-          }
-        })
-      );
-      const result = await conn.query(`
-        INSERT INTO ${tableName}
-          (${columns.join(',')})
-        VALUES
-          (${columns.map(() => '?').join(',')})
-      `, params);
-      if (!result) return null;
-      return result.insertId;
+      const increment = (chunks.some(chunk => chunk.length > 1) ? await dialect.getInsertIdIncrement(conn) : 1);
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        const { columns } = rows[chunk[0]];
+        const params = _.flatMap(chunk, rowIndex => rows[rowIndex].params);
+        if (chunk.length === 1) {
+          const result = await dialect.query(conn, dialect.getInsertSql(tableName, columns, schema.id ? 'id' : null), params);
+          ids[chunk[0]] = getCreatedId(rows[chunk[0]], result);
+        } else {
+          const sql = dialect.getBulkInsertSql(tableName, columns, chunk.length, schema.id ? 'id' : null);
+          const result = await dialect.query(conn, sql, params);
+          dialect.getInsertIds(result, chunk.length, increment).forEach((id, j) => {
+            ids[chunk[j]] = id;
+          });
+        }
+      }
+      if (audit) {
+        const idChunks = _.chunk(ids, bulkChunkSize);
+        for (let i = 0; i < idChunks.length; i++) {
+          await writeAuditLog(conn, 'create', {}, await getAuditObjsById(conn, idChunks[i]), context);
+        }
+      }
+      for (let i = 0; i < hookedCreateObjs.length; i++) {
+        await runHook('afterCreate', conn, hookedCreateObjs[i], ids[i]);
+      }
+      return ids;
     };
     fnIndex.getter[`get${pluralTitle}`] = {
       args: [getListOptionsArg],
       description: `Gets all ${pluralName}.`,
+      model: singularTitle,
+      returns: listReturns,
     };
     fns[`get${pluralTitle}`] = connifyAndRelease(db, fns, `get${pluralTitle}`);
     fns[`get${pluralTitle}WithConn`] = async (conn, viewOptions = {}) => {
-      const { viewFields, columnNames, where, params, sortColumns, limit, offset, map } = handleViewOptions(fields, viewOptions);
-      const rows = await conn.query(`
+      const options = getViewOptions(views, viewOptions);
+      const { include = [] } = options;
+      const includeFields = getFieldsForIncludes(fields, options.fields, include);
+      // Props that are only fetched to load the relations are left out again afterwards.
+      const joinProps = _.difference(includeFields, [...(options.fields || []), ...include]);
+      const {
+        viewFields, columnNames, where, params, sortColumns, limit, offset, map, paginated, first, cursorColumns,
+      } = handleViewOptions(fields, {
+        ...options,
+        fields: includeFields,
+        filters: [...getDeletedFilters(options), ...(options.filters || [])],
+      });
+      let rows = await dialect.select(conn, `
         SELECT ${columnNames} FROM ${tableName}
         ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
         ${sortColumns.length > 0 ? `ORDER BY ${sortColumns.join(',')}` : ''}
-        ${limit ? `LIMIT ${limit}` : ''}
-        ${offset ? `OFFSET ${offset}` : ''}
+        ${dialect.getLimitClause(limit, offset)}
       `, params);
+      const hasNextPage = (paginated && first !== undefined && rows.length > first);
+      if (hasNextPage) {
+        rows = rows.slice(0, first);
+      }
       const objs = await Promise.all(
-        rows.map(async (row) => {
-          const obj = await getObjectFromRow(row, fields, viewFields, finalMap);
+        rows.map(async row => getObjectFromRow(row, fields, viewFields))
+      );
+      await includeRelations(conn, singularTitle, objs, include);
+      objs.forEach((obj) => {
+        joinProps.forEach((prop) => {
+          delete obj[prop];
+        });
+      });
+      const items = await Promise.all(
+        objs.map(async (obj) => {
+          const fetchedObj = await runReplacingHook('afterFetch', conn, obj);
+          const finalObj = (typeof finalMap === 'function' ? await finalMap(fetchedObj) : fetchedObj);
           if (typeof map === 'function') {
-            return map(obj);
+            return map(finalObj);
           }
-          return obj;
+          return finalObj;
         })
       );
-      return objs;
+      if (!paginated) return items;
+      const lastRow = _.last(rows);
+      return {
+        items,
+        pageInfo: {
+          endCursor: (lastRow ? encodeCursor(cursorColumns.map(column => lastRow[column])) : null),
+          hasNextPage,
+        },
+      };
     };
+    fnIndex.getter[`count${pluralTitle}`] = {
+      args: [countOptionsArg],
+      description: `Counts all ${pluralName}.`,
+      model: singularTitle,
+      returns: countReturns,
+    };
+    fns[`count${pluralTitle}`] = connifyAndRelease(db, fns, `count${pluralTitle}`);
+    fns[`count${pluralTitle}WithConn`] = async (conn, viewOptions = {}) => {
+      const options = getViewOptions(views, viewOptions);
+      const { where, params } = handleViewOptions(fields, {
+        filters: [...getDeletedFilters(options), ...(options.filters || [])],
+      });
+      const rows = await dialect.select(conn, `
+        SELECT COUNT(*) AS count FROM ${tableName}
+        ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      `, params);
+      return Number(rows[0].count);
+    };
+    Object.keys(views).forEach((view) => {
+      const viewTitle = _.upperFirst(_.camelCase(view));
+      fnIndex.getter[`get${viewTitle}${pluralTitle}`] = {
+        args: [getListOptionsArg],
+        description: `Gets all ${pluralName} using the "${view}" view.`,
+        model: singularTitle,
+        returns: listReturns,
+      };
+      fns[`get${viewTitle}${pluralTitle}`] = connifyAndRelease(db, fns, `get${viewTitle}${pluralTitle}`);
+      fns[`get${viewTitle}${pluralTitle}WithConn`] = async (conn, viewOptions = {}) => {
+        return fns[`get${pluralTitle}WithConn`](conn, { ...viewOptions, view });
+      };
+      fnIndex.getter[`count${viewTitle}${pluralTitle}`] = {
+        args: [countOptionsArg],
+        description: `Counts all ${pluralName} using the "${view}" view.`,
+        model: singularTitle,
+        returns: countReturns,
+      };
+      fns[`count${viewTitle}${pluralTitle}`] = connifyAndRelease(db, fns, `count${viewTitle}${pluralTitle}`);
+      fns[`count${viewTitle}${pluralTitle}WithConn`] = async (conn, viewOptions = {}) => {
+        return fns[`count${pluralTitle}WithConn`](conn, { ...viewOptions, view });
+      };
+    });
     fnIndex.getter[`get${singularTitle}ById`] = {
       args: [
         { name: 'id', type: 'string', description: `ID of the ${singularName} to fetch.` },
         getFieldsArg,
       ],
       description: `Gets ${singularName} with given ID.`,
+      model: singularTitle,
+      returns: objReturns,
     };
     fns[`get${singularTitle}ById`] = connifyAndRelease(db, fns, `get${singularTitle}ById`);
     fns[`get${singularTitle}ByIdWithConn`] = async (conn, id, viewFields = []) => {
+      const cacheKey = getModelCacheKey('Id', [id]);
+      if (useCache(conn, viewFields)) {
+        const cachedObj = await cache.get(cacheKey);
+        if (cachedObj !== undefined && cachedObj !== null) return cachedObj;
+      }
       const columnNames = getColumnNamesForSelect(fields, viewFields);
-      const rows = await conn.query(`
+      const rows = await dialect.select(conn, `
         SELECT ${columnNames} FROM ${tableName}
-        WHERE id = ? LIMIT 1
+        WHERE ${getNotDeletedWhere(['id = ?']).join(' AND ')} LIMIT 1
       `, [id]);
       if (rows.length === 0) return null;
-      return getObjectFromRow(rows[0], fields, viewFields, finalMap);
+      const obj = await getFetchedObject(conn, rows[0], viewFields);
+      if (useCache(conn, viewFields)) await cache.set(cacheKey, obj);
+      return obj;
+    };
+    fnIndex.getter[`${existsName}ById`] = {
+      args: [
+        { name: 'id', type: 'string', description: `ID of the ${singularName} to look for.` },
+      ],
+      description: `Checks whether a ${singularName} with given ID exists.`,
+      model: singularTitle,
+      returns: existsReturns,
     };
+    fns[`${existsName}ById`] = connifyAndRelease(db, fns, `${existsName}ById`);
+    fns[`${existsName}ByIdWithConn`] = async (conn, id) => {
+      const rows = await dialect.select(conn, `
+        SELECT 1 AS found FROM ${tableName}
+        WHERE ${getNotDeletedWhere(['id = ?']).join(' AND ')} LIMIT 1
+      `, [id]);
+      return rows.length > 0;
+    };
+    if (audit) {
+      fnIndex.getter[`get${singularTitle}HistoryById`] = {
+        args: [
+          { name: 'id', type: 'string', description: `ID of the ${singularName}.` },
+        ],
+        description: `Gets the changes made to ${singularName} with given ID, oldest first.`,
+        model: singularTitle,
+        returns: { type: '[object{operation, changes, actor, createdAt}]', description: 'The changes, oldest first.' },
+      };
+      fns[`get${singularTitle}HistoryById`] = connifyAndRelease(db, fns, `get${singularTitle}HistoryById`);
+      fns[`get${singularTitle}HistoryByIdWithConn`] = async (conn, id) => {
+        const rows = await dialect.select(conn, `
+          SELECT operation, changes, actor, created_at FROM ${auditTable}
+          WHERE model = ? AND row_id = ?
+          ORDER BY id
+        `, [singularTitle, String(id)]);
+        return rows.map(row => ({
+          operation: row.operation,
+          changes: JSON.parse(row.changes),
+          actor: row.actor,
+          createdAt: new Date(row.created_at),
+        }));
+      };
+    }
     fnIndex.update[`update${singularTitle}ById`] = {
       args: [
         { name: 'id', type: 'string', description: `ID of the ${singularName} to update.` },
         updateArg,
+        ...contextArgs,
       ],
       description: `Updates ${singularName} with given properties.`,
+      model: singularTitle,
     };
     fns[`update${singularTitle}ById`] = connifyAndCommit(db, fns, `update${singularTitle}ById`);
-    fns[`update${singularTitle}ByIdWithConn`] = async (conn, id, updateObj) => {
-      const { setter, params } = await getSettersFromUpdateObj(updateObj, fields);
-      params.push(id);
-      await conn.query(`
-        UPDATE ${tableName} SET
-          ${setter.join(',')}
-        WHERE id = ?
-      `, params);
+    fns[`update${singularTitle}ByIdWithConn`] = async (conn, id, updateObj, context) => {
+      await updateRows(conn, { id }, updateObj, ['id = ?'], [id], context);
+    };
+    fnIndex.update[`update${pluralTitle}ById`] = {
+      args: [
+        {
+          name: 'updateObjs',
+          type: '[object]',
+          description: `ID and properties to update for each ${singularName}.`,
+        },
+        ...contextArgs,
+      ],
+      description: `Updates each ${singularName} with given ID with its other properties.`,
+      model: singularTitle,
+    };
+    fns[`update${pluralTitle}ById`] = connifyAndCommit(db, fns, `update${pluralTitle}ById`);
+    fns[`update${pluralTitle}ByIdWithConn`] = async (conn, updateObjs = [], context) => {
+      // Like with creates, every row is validated before any of them are written.
+      const updates = [];
+      for (let i = 0; i < updateObjs.length; i++) {
+        const { id, ...updateObj } = updateObjs[i] || {};
+        if (id === undefined || id === null) throw new Error('missing_id');
+        if (Object.keys(updateObj).length === 0) continue;
+        try {
+          updates.push({ id, updateObj, update: await getUpdate(conn, { id }, updateObj) });
+        } catch (e) {
+          if (e instanceof ValidationError) e.index = i;
+          throw e;
+        }
+      }
+      for (let i = 0; i < updates.length; i++) {
+        const { id, updateObj, update } = updates[i];
+        await updateRows(conn, { id }, updateObj, ['id = ?'], [id], context, update);
+      }
     };
     fnIndex.delete[`delete${singularTitle}ById`] = {
       args: [
         { name: 'id', type: 'string', description: `ID of the ${singularName} to delete.` },
+        ...contextArgs,
       ],
       description: `Deletes ${singularName} with given ID.`,
+      model: singularTitle,
     };
     fns[`delete${singularTitle}ById`] = connifyAndCommit(db, fns, `delete${singularTitle}ById`);
-    fns[`delete${singularTitle}ByIdWithConn`] = async (conn, id) => {
-      await conn.query(`
-        DELETE FROM ${tableName}
-        WHERE id = ? LIMIT 1
-      `, [id]);
+    fns[`delete${singularTitle}ByIdWithConn`] = async (conn, id, context) => {
+      await deleteRows(conn, { id }, ['id = ?'], [id], { limit: 1, context });
     };
+    if (softDelete) {
+      fnIndex.update[`restore${singularTitle}ById`] = {
+        args: [
+          { name: 'id', type: 'string', description: `ID of the ${singularName} to restore.` },
+          ...contextArgs,
+        ],
+        description: `Restores the deleted ${singularName} with given ID.`,
+        model: singularTitle,
+      };
+      fns[`restore${singularTitle}ById`] = connifyAndCommit(db, fns, `restore${singularTitle}ById`);
+      // Restoring is an update of deletedAt, so it calls the update hooks.
+      fns[`restore${singularTitle}ByIdWithConn`] = async (conn, id, context) => {
+        const hookedUpdateObj = await runReplacingHook('beforeUpdate', conn, { deletedAt: null }, { id });
+        // Like other updates, restores set updatedAt and bump the version.
+        const { setter, params } = await getSettersFromUpdateObj(getTimestampedUpdateObj({ ...hookedUpdateObj, deletedAt: null }), fields);
+        if (versioned) {
+          const { columnName } = fields.version;
+          setter.push(`${columnName} = ${columnName} + 1`);
+        }
+        const beforeObjs = (audit ? await getAuditObjs(conn, ['id = ?'], [id], 1) : {});
+        const result = await dialect.query(conn, `
+          UPDATE ${tableName} SET
+            ${setter.join(',')}
+          WHERE id = ?
+        `, [...params, id]);
+        await uncacheIds(conn, [id]);
+        if (audit) await writeAuditLog(conn, 'restore', beforeObjs, await getAuditObjsById(conn, [id]), context);
+        await runHook('afterUpdate', conn, hookedUpdateObj, { id }, dialect.getAffectedRows(result));
+      };
+      fnIndex.delete[`purge${singularTitle}ById`] = {
+        args: [
+          { name: 'id', type: 'string', description: `ID of the ${singularName} to purge.` },
+          ...contextArgs,
+        ],
+        description: `Deletes ${singularName} with given ID for good, even if it was already deleted.`,
+        model: singularTitle,
+      };
+      fns[`purge${singularTitle}ById`] = connifyAndCommit(db, fns, `purge${singularTitle}ById`);
+      fns[`purge${singularTitle}ByIdWithConn`] = async (conn, id, context) => {
+        await deleteRows(conn, { id }, ['id = ?'], [id], { limit: 1, purge: true, context });
+      };
+    }
     uniques.forEach((uniqueProps = []) => {
-      const uniqueCodeNames = uniqueProps.map(prop => fields[prop].getCodeName()).join('');
-      const uniqueNames = uniqueProps.map(prop => fields[prop].getReadableName()).join(', ');
-      const uniqueArgs = uniqueProps.map(prop => fields[prop].getArgument());
+      const uniqueCodeNames = uniqueProps.map(prop => getField(fields, prop).getCodeName()).join('');
+      const uniqueNames = uniqueProps.map(prop => getField(fields, prop).getReadableName()).join(', ');
+      const uniqueArgs = uniqueProps.map(prop => getField(fields, prop).getArgument());
       fnIndex.getter[`get${singularTitle}By${uniqueCodeNames}`] = {
         args: [...uniqueArgs, getFieldsArg],
         description: `Gets ${singularName} with corresponding ${uniqueNames}.`,
+        model: singularTitle,
+        returns: objReturns,
       };
       fns[`get${singularTitle}By${uniqueCodeNames}`] = connifyAndRelease(db, fns, `get${singularTitle}By${uniqueCodeNames}`);
       fns[`get${singularTitle}By${uniqueCodeNames}WithConn`] = async (conn, ...args) => {
@@ -760,45 +2002,139 @@ exports.init = async (opts = {}) => {
         const [viewFields = []] = args.slice(uniqueArgs.length);
         const columnNames = getColumnNamesForSelect(fields, viewFields);
         if (uniqueValues.length !== uniqueArgs.length) throw new Error('missing_arguments');
+        const cacheKey = getModelCacheKey(uniqueCodeNames, uniqueValues);
+        if (useCache(conn, viewFields)) {
+          const cachedId = await cache.get(cacheKey);
+          if (cachedId !== undefined && cachedId !== null) {
+            const cachedObj = await fns[`get${singularTitle}ByIdWithConn`](conn, cachedId);
+            // The row could have changed since, so it has to still have the same values.
+            const matches = uniqueProps.every((prop, i) => cachedObj && String(_.get(cachedObj, prop)) === String(uniqueValues[i]));
+            if (matches) return cachedObj;
+          }
+        }
         const { where, params } = getWhereMatching(uniqueProps, uniqueValues, fields);
-        const rows = await conn.query(`
+        const rows = await dialect.select(conn, `
           SELECT ${columnNames} FROM ${tableName}
-          WHERE ${where.join(' AND ')} LIMIT 1
+          WHERE ${getNotDeletedWhere(where).join(' AND ')} LIMIT 1
         `, params);
         if (rows.length === 0) return null;
-        return getObjectFromRow(rows[0], fields, viewFields, finalMap);
+        const obj = await getFetchedObject(conn, rows[0], viewFields);
+        if (useCache(conn, viewFields)) await cache.set(cacheKey, rows[0].id);
+        return obj;
+      };
+      fnIndex.getter[`${existsName}By${uniqueCodeNames}`] = {
+        args: [...uniqueArgs],
+        description: `Checks whether a ${singularName} with corresponding ${uniqueNames} exists.`,
+        model: singularTitle,
+        returns: existsReturns,
+      };
+      fns[`${existsName}By${uniqueCodeNames}`] = connifyAndRelease(db, fns, `${existsName}By${uniqueCodeNames}`);
+      fns[`${existsName}By${uniqueCodeNames}WithConn`] = async (conn, ...args) => {
+        const uniqueValues = args.slice(0, uniqueArgs.length);
+        if (uniqueValues.length !== uniqueArgs.length) throw new Error('missing_arguments');
+        const { where, params } = getWhereMatching(uniqueProps, uniqueValues, fields);
+        const rows = await dialect.select(conn, `
+          SELECT 1 AS found FROM ${tableName}
+          WHERE ${getNotDeletedWhere(where).join(' AND ')} LIMIT 1
+        `, params);
+        return rows.length > 0;
       };
       fnIndex.update[`update${singularTitle}By${uniqueCodeNames}`] = {
-        args: [...uniqueArgs, updateArg],
+        args: [...uniqueArgs, updateArg, ...contextArgs],
         description: `Updates ${singularName} with corresponding ${uniqueNames}.`,
+        model: singularTitle,
       };
       fns[`update${singularTitle}By${uniqueCodeNames}`] = connifyAndCommit(db, fns, `update${singularTitle}By${uniqueCodeNames}`);
       fns[`update${singularTitle}By${uniqueCodeNames}WithConn`] = async (conn, ...args) => {
         const uniqueValues = args.slice(0, uniqueArgs.length);
-        const [updateObj = {}] = args.slice(uniqueArgs.length);
+        const [updateObj = {}, context] = args.slice(uniqueArgs.length);
         if (uniqueValues.length !== uniqueArgs.length) throw new Error('missing_arguments');
-        const { setter, params } = await getSettersFromUpdateObj(updateObj, fields);
-        const { where, params: additionalParams } = getWhereMatching(uniqueProps, uniqueValues, fields);
-        params.push(...additionalParams);
-        await conn.query(`
-          UPDATE ${tableName} SET
-            ${setter.join(',')}
-          WHERE ${where.join(' AND ')}
-        `, params);
+        const { where, params } = getWhereMatching(uniqueProps, uniqueValues, fields);
+        await updateRows(conn, _.zipObject(uniqueProps, uniqueValues), updateObj, where, params, context);
+      };
+      fnIndex.update[`upsert${singularTitle}By${uniqueCodeNames}`] = {
+        args: [
+          ...uniqueArgs,
+          {
+            name: 'upsertObj',
+            type: 'object',
+            description: `Properties of ${singularName} to create, or update if it exists.`,
+          },
+          ...contextArgs,
+        ],
+        description: `Creates or updates ${singularName} with corresponding ${uniqueNames}, and returns its ID.`,
+        model: singularTitle,
+        returns: idReturns,
+      };
+      fns[`upsert${singularTitle}By${uniqueCodeNames}`] = connifyAndCommit(db, fns, `upsert${singularTitle}By${uniqueCodeNames}`);
+      fns[`upsert${singularTitle}By${uniqueCodeNames}WithConn`] = async (conn, ...args) => {
+        const uniqueValues = args.slice(0, uniqueArgs.length);
+        const [upsertObj = {}, context] = args.slice(uniqueArgs.length);
+        if (uniqueValues.length !== uniqueArgs.length) throw new Error('missing_arguments');
+        const { where, params: whereParams } = getWhereMatching(uniqueProps, uniqueValues, fields);
+        const match = _.zipObject(uniqueProps, uniqueValues);
+        // The create or update hooks are called depending on whether the row exists now.
+        const existing = await dialect.select(conn, `
+          SELECT 1 AS found FROM ${tableName}
+          WHERE ${getNotDeletedWhere(where).join(' AND ')} LIMIT 1
+        `, whereParams);
+        const exists = existing.length > 0;
+        const getId = async () => {
+          if (!schema.id) return null;
+          const rows = await dialect.select(conn, `
+            SELECT id FROM ${tableName}
+            WHERE ${getNotDeletedWhere(where).join(' AND ')} LIMIT 1
+          `, whereParams);
+          return (rows.length > 0 ? rows[0].id : null);
+        };
+        // Existing versioned rows are updated like with the update functions, so that the version is checked.
+        if (exists && versioned) {
+          await updateRows(conn, match, upsertObj, where, whereParams, context);
+          return getId();
+        }
+        const beforeObjs = (audit && exists ? await getAuditObjs(conn, getNotDeletedWhere(where), whereParams, 1) : {});
+        const keyedUpsertObj = _.cloneDeep(upsertObj);
+        uniqueProps.forEach((prop, i) => _.set(keyedUpsertObj, prop, uniqueValues[i]));
+        const hookedUpsertObj = await (exists ?
+          runReplacingHook('beforeUpdate', conn, upsertObj, match) :
+          runReplacingHook('beforeCreate', conn, keyedUpsertObj));
+        const createObj = _.cloneDeep(hookedUpsertObj);
+        uniqueProps.forEach((prop, i) => _.set(createObj, prop, uniqueValues[i]));
+        // Existing rows only get the given props, so they are validated like updates.
+        const { columns, params } = await getInsertRow(getVersionedCreateObj(getTimestampedCreateObj(createObj)), fields, exists);
+        const keyColumns = _.flatMap(uniqueProps, prop => getField(fields, prop).getColumns());
+        // An existing row keeps its createdAt, and has its version bumped instead of reset.
+        const insertOnlyColumns = [
+          ...(timestamps ? fields[createdAtProp].getColumns() : []),
+          ...(versioned ? fields.version.getColumns() : []),
+        ];
+        const incrementColumns = (versioned ? fields.version.getColumns() : []);
+        await dialect.query(conn, dialect.getUpsertSql(tableName, columns, keyColumns, notDeletedClause, insertOnlyColumns, incrementColumns), params);
+        // The insert ID isn't reliable when the row is updated, so look it up instead.
+        const id = await getId();
+        if (id !== null) await uncacheIds(conn, [id]);
+        if (audit && id !== null) {
+          await writeAuditLog(conn, (exists ? 'update' : 'create'), beforeObjs, await getAuditObjsById(conn, [id]), context);
+        }
+        if (exists) {
+          await runHook('afterUpdate', conn, hookedUpsertObj, match, 1);
+        } else {
+          await runHook('afterCreate', conn, hookedUpsertObj, id);
+        }
+        return id;
       };
       fnIndex.delete[`delete${singularTitle}By${uniqueCodeNames}`] = {
-        args: [...uniqueArgs],
+        args: [...uniqueArgs, ...contextArgs],
         description: `Deletes ${singularName} with corresponding ${uniqueNames}.`,
+        model: singularTitle,
       };
       fns[`delete${singularTitle}By${uniqueCodeNames}`] = connifyAndCommit(db, fns, `delete${singularTitle}By${uniqueCodeNames}`);
       fns[`delete${singularTitle}By${uniqueCodeNames}WithConn`] = async (conn, ...args) => {
         const uniqueValues = args.slice(0, uniqueArgs.length);
+        const [context] = args.slice(uniqueArgs.length);
         if (uniqueValues.length !== uniqueArgs.length) throw new Error('missing_arguments');
         const { where, params } = getWhereMatching(uniqueProps, uniqueValues, fields);
-        await conn.query(`
-          DELETE FROM ${tableName}
-          WHERE ${where.join(' AND ')} LIMIT 1
-        `, params);
+        await deleteRows(conn, _.zipObject(uniqueProps, uniqueValues), where, params, { limit: 1, context });
       };
     });
     queries.forEach(({ fields: queryProps = [], sort: sortProps = [] }) => {
@@ -807,7 +2143,7 @@ exports.init = async (opts = {}) => {
       const queryArgs = [];
       queryProps.forEach((prop, i) => {
         const slicedQueryProps = queryProps.slice(0, i + 1);
-        const field = fields[prop];
+        const field = getField(fields, prop);
         queryCodeNames = `${queryCodeNames}${field.getCodeName()}`;
         queryNames.push(field.getReadableName());
         const queryNamesStr = queryNames.join(', ');
@@ -815,6 +2151,8 @@ exports.init = async (opts = {}) => {
         fnIndex.getter[`get${pluralTitle}By${queryCodeNames}`] = {
           args: [...queryArgs, getListOptionsArg],
           description: `Gets ${pluralName} with ${queryNamesStr}.`,
+          model: singularTitle,
+          returns: listReturns,
         };
         fns[`get${pluralTitle}By${queryCodeNames}`] = connifyAndRelease(db, fns, `get${pluralTitle}By${queryCodeNames}`);
         fns[`get${pluralTitle}By${queryCodeNames}WithConn`] = async (conn, ...args) => {
@@ -823,66 +2161,344 @@ exports.init = async (opts = {}) => {
           if (queryValues.length !== slicedQueryProps.length) throw new Error('missing_arguments');
           const argFilters = viewOptions.filters || [];
           const queryFilters = slicedQueryProps.map((prop, i) => ({ prop, op: '=', value: queryValues[i] }));
-          viewOptions.filters = [...queryFilters, ...argFilters];
-          return fns[`get${pluralTitle}WithConn`](conn, viewOptions);
+          // Sorts by the index's sort props by default, so the index can be used for paging too.
+          const { sort = (sortProps.length > 0 ? sortProps : undefined) } = getViewOptions(views, viewOptions);
+          return fns[`get${pluralTitle}WithConn`](conn, { ...viewOptions, sort, filters: [...queryFilters, ...argFilters] });
         };
-        fnIndex.update[`update${pluralTitle}By${queryCodeNames}`] = {
-          args: [...queryArgs, updateArg],
-          description: `Update all ${pluralName} with matching ${queryNamesStr}.`,
+        fnIndex.getter[`count${pluralTitle}By${queryCodeNames}`] = {
+          args: [...queryArgs, countOptionsArg],
+          description: `Counts ${pluralName} with ${queryNamesStr}.`,
+          model: singularTitle,
+          returns: countReturns,
         };
-        fns[`update${pluralTitle}By${queryCodeNames}`] = connifyAndCommit(db, fns, `update${pluralTitle}By${queryCodeNames}`);
-        fns[`update${pluralTitle}By${queryCodeNames}WithConn`] = async (conn, ...args) => {
+        fns[`count${pluralTitle}By${queryCodeNames}`] = connifyAndRelease(db, fns, `count${pluralTitle}By${queryCodeNames}`);
+        fns[`count${pluralTitle}By${queryCodeNames}WithConn`] = async (conn, ...args) => {
           const queryValues = args.slice(0, slicedQueryProps.length);
-          const [updateObj = {}] = args.slice(slicedQueryProps.length);
+          const [viewOptions = {}] = args.slice(slicedQueryProps.length);
           if (queryValues.length !== slicedQueryProps.length) throw new Error('missing_arguments');
-          const { setter, params } = await getSettersFromUpdateObj(updateObj, fields);
-          const { where, params: additionalParams } = getWhereMatching(slicedQueryProps, queryValues, fields);
-          params.push(...additionalParams);
-          await conn.query(`
-            UPDATE ${tableName} SET
-              ${setter.join(',')}
-            WHERE ${where.join(' AND ')}
-          `, params);
+          const argFilters = viewOptions.filters || [];
+          const queryFilters = slicedQueryProps.map((prop, i) => ({ prop, op: '=', value: queryValues[i] }));
+          return fns[`count${pluralTitle}WithConn`](conn, { ...viewOptions, filters: [...queryFilters, ...argFilters] });
         };
+        const slicedCodeNames = queryCodeNames;
+        Object.keys(views).forEach((view) => {
+          const viewTitle = _.upperFirst(_.camelCase(view));
+          fnIndex.getter[`get${viewTitle}${pluralTitle}By${queryCodeNames}`] = {
+            args: [...queryArgs, getListOptionsArg],
+            description: `Gets ${pluralName} with ${queryNamesStr} using the "${view}" view.`,
+            model: singularTitle,
+            returns: listReturns,
+          };
+          fns[`get${viewTitle}${pluralTitle}By${queryCodeNames}`] = connifyAndRelease(db, fns, `get${viewTitle}${pluralTitle}By${queryCodeNames}`);
+          fns[`get${viewTitle}${pluralTitle}By${queryCodeNames}WithConn`] = async (conn, ...args) => {
+            const queryValues = args.slice(0, slicedQueryProps.length);
+            const [viewOptions = {}] = args.slice(slicedQueryProps.length);
+            return fns[`get${pluralTitle}By${slicedCodeNames}WithConn`](conn, ...queryValues, { ...viewOptions, view });
+          };
+          fnIndex.getter[`count${viewTitle}${pluralTitle}By${queryCodeNames}`] = {
+            args: [...queryArgs, countOptionsArg],
+            description: `Counts ${pluralName} with ${queryNamesStr} using the "${view}" view.`,
+            model: singularTitle,
+            returns: countReturns,
+          };
+          fns[`count${viewTitle}${pluralTitle}By${queryCodeNames}`] = connifyAndRelease(db, fns, `count${viewTitle}${pluralTitle}By${queryCodeNames}`);
+          fns[`count${viewTitle}${pluralTitle}By${queryCodeNames}WithConn`] = async (conn, ...args) => {
+            const queryValues = args.slice(0, slicedQueryProps.length);
+            const [viewOptions = {}] = args.slice(slicedQueryProps.length);
+            return fns[`count${pluralTitle}By${slicedCodeNames}WithConn`](conn, ...queryValues, { ...viewOptions, view });
+          };
+        });
+        // Versioned rows each have their own version, so they can't be updated together.
+        if (!versioned) {
+          fnIndex.update[`update${pluralTitle}By${queryCodeNames}`] = {
+            args: [...queryArgs, updateArg, ...contextArgs],
+            description: `Update all ${pluralName} with matching ${queryNamesStr}.`,
+            model: singularTitle,
+          };
+          fns[`update${pluralTitle}By${queryCodeNames}`] = connifyAndCommit(db, fns, `update${pluralTitle}By${queryCodeNames}`);
+          fns[`update${pluralTitle}By${queryCodeNames}WithConn`] = async (conn, ...args) => {
+            const queryValues = args.slice(0, slicedQueryProps.length);
+            const [updateObj = {}, context] = args.slice(slicedQueryProps.length);
+            if (queryValues.length !== slicedQueryProps.length) throw new Error('missing_arguments');
+            const { where, params } = getWhereMatching(slicedQueryProps, queryValues, fields);
+            await updateRows(conn, _.zipObject(slicedQueryProps, queryValues), updateObj, where, params, context);
+          };
+        }
         fnIndex.delete[`delete${pluralTitle}By${queryCodeNames}`] = {
-          args: [...queryArgs],
+          args: [...queryArgs, ...contextArgs],
           description: `Delete all ${pluralName} with matching ${queryNamesStr}.`,
+          model: singularTitle,
         };
         fns[`delete${pluralTitle}By${queryCodeNames}`] = connifyAndCommit(db, fns, `delete${pluralTitle}By${queryCodeNames}`);
         fns[`delete${pluralTitle}By${queryCodeNames}WithConn`] = async (conn, ...args) => {
           const queryValues = args.slice(0, slicedQueryProps.length);
+          const [context] = args.slice(slicedQueryProps.length);
           if (queryValues.length !== slicedQueryProps.length) throw new Error('missing_arguments');
           const { where, params } = getWhereMatching(slicedQueryProps, queryValues, fields);
-          await conn.query(`
-            DELETE FROM ${tableName}
-            WHERE ${where.join(' AND ')}
-          `, params);
+          await deleteRows(conn, _.zipObject(slicedQueryProps, queryValues), where, params, { context });
         };
       });
     });
+    Object.keys(fields).forEach((prop) => {
+      const field = fields[prop];
+      if (!(field instanceof RefField) || !field.ref) return;
+      const codeName = field.getCodeName();
+      if (!fns[`get${pluralTitle}By${codeName}`]) {
+        fnIndex.getter[`get${pluralTitle}By${codeName}`] = {
+          args: [field.getArgument(), getListOptionsArg],
+          description: `Gets ${pluralName} with ${field.getReadableName()}.`,
+          model: singularTitle,
+          returns: listReturns,
+        };
+        fns[`get${pluralTitle}By${codeName}`] = connifyAndRelease(db, fns, `get${pluralTitle}By${codeName}`);
+        fns[`get${pluralTitle}By${codeName}WithConn`] = async (conn, value, viewOptions = {}) => {
+          const argFilters = viewOptions.filters || [];
+          return fns[`get${pluralTitle}WithConn`](conn, {
+            ...viewOptions,
+            filters: [{ prop, op: '=', value }, ...argFilters],
+          });
+        };
+        fnIndex.getter[`count${pluralTitle}By${codeName}`] = {
+          args: [field.getArgument(), countOptionsArg],
+          description: `Counts ${pluralName} with ${field.getReadableName()}.`,
+          model: singularTitle,
+          returns: countReturns,
+        };
+        fns[`count${pluralTitle}By${codeName}`] = connifyAndRelease(db, fns, `count${pluralTitle}By${codeName}`);
+        fns[`count${pluralTitle}By${codeName}WithConn`] = async (conn, value, viewOptions = {}) => {
+          const argFilters = viewOptions.filters || [];
+          return fns[`count${pluralTitle}WithConn`](conn, {
+            ...viewOptions,
+            filters: [{ prop, op: '=', value }, ...argFilters],
+          });
+        };
+      }
+      fnIndex.getter[`get${codeName}For${singularTitle}`] = {
+        args: [
+          { name: 'id', type: idReturns.type, description: `ID of the ${singularName}.` },
+          { ...getFieldsArg, description: `Fields to fetch for ${field.getReadableName()}.` },
+        ],
+        description: `Gets the ${field.ref} referenced by the ${field.getReadableName()} of a ${singularName}.`,
+        model: singularTitle,
+        returns: { type: field.ref, nullable: true, description: `The ${field.ref}, or null if there isn't one.` },
+      };
+      fns[`get${codeName}For${singularTitle}`] = connifyAndRelease(db, fns, `get${codeName}For${singularTitle}`);
+      fns[`get${codeName}For${singularTitle}WithConn`] = async (conn, id, viewFields = []) => {
+        const rows = await dialect.select(conn, `
+          SELECT ${field.getColumns().join(',')} FROM ${tableName}
+          WHERE ${getNotDeletedWhere(['id = ?']).join(' AND ')} LIMIT 1
+        `, [id]);
+        if (rows.length === 0) return null;
+        const refId = await field.getValueFromRow(rows[0]);
+        if (refId === undefined || refId === null) return null;
+        const { names: refNames } = getRefModel(field.ref);
+        return fns[`get${refNames.singularTitle}ByIdWithConn`](conn, refId, viewFields);
+      };
+    });
+    Object.keys(hasMany).forEach((relation) => {
+      const relationTitle = _.upperFirst(_.camelCase(relation));
+      const relationModel = hasMany[relation].model;
+      fnIndex.getter[`get${relationTitle}For${singularTitle}`] = {
+        args: [
+          { name: 'id', type: idReturns.type, description: `ID of the ${singularName}.` },
+          getListOptionsArg,
+        ],
+        description: `Gets the ${relation} of a ${singularName}.`,
+        model: singularTitle,
+        returns: { type: `[${relationModel}]`, description: `The ${relation}.` },
+      };
+      fns[`get${relationTitle}For${singularTitle}`] = connifyAndRelease(db, fns, `get${relationTitle}For${singularTitle}`);
+      fns[`get${relationTitle}For${singularTitle}WithConn`] = async (conn, id, viewOptions = {}) => {
+        const { model, field: refProp, sort } = getHasManyRelation(singularTitle, relation);
+        const argFilters = viewOptions.filters || [];
+        return fns[`get${model.names.pluralTitle}WithConn`](conn, {
+          sort,
+          ...viewOptions,
+          filters: [{ prop: refProp, op: '=', value: id }, ...argFilters],
+        });
+      };
+    });
+    // Props set by the generated functions, which are left out of the input types.
+    const autoProps = [
+      ...(timestamps && !allowManualTimestamps ? [createdAtProp, updatedAtProp] : []),
+      ...(versioned ? ['version'] : []),
+      ...(softDelete ? ['deletedAt'] : []),
+    ];
     models[singularTitle] = {
       names,
       fields,
       schema,
       indices,
-      tableHash,
+      views,
+      hasMany,
+      audit,
+      versioned,
+      autoProps,
     };
   });
+  // All the audited models share one audit log table, which is created along with their tables.
+  const auditIndexName = dialect.getIndexName('btree', auditTable, ['model', 'row_id']);
+  const auditSchema = {
+    schema: {
+      id: dialect.getIdType({ autoInc: true, primaryKey: true }),
+      model: dialect.getTextType(63),
+      row_id: dialect.getTextType(63),
+      operation: dialect.getTextType(15),
+      changes: dialect.getJsonType(),
+      actor: dialect.getTextType(255),
+      created_at: dialect.getDateType(),
+    },
+    indices: {
+      [auditIndexName]: dialect.getIndexDefinition('tree', auditIndexName, auditTable, ['model', 'row_id']),
+    },
+  };
+  const auditHash = objHash(auditSchema);
+  // Like the models' tables, the audit log table is saved in the meta table, and altered when its schema changes.
+  const planAuditTable = async (conn) => {
+    if (!_.some(models, 'audit')) return [];
+    const { oldHash, oldSchemaObj = {} } = (await hasTable(conn, metaTable) ?
+      await getTableMeta(conn, { tableName: auditTable, previousTableNames: [] }) : {});
+    if (oldHash === auditHash) return [];
+    if (oldHash) {
+      return dialect.getAlterTableStatements(auditTable, {
+        schema: auditSchema.schema,
+        oldSchema: oldSchemaObj.schema,
+        indices: auditSchema.indices,
+        oldIndices: oldSchemaObj.indices,
+      });
+    }
+    return [
+      {
+        sql: dialect.getCreateTableSql(auditTable, auditSchema.schema),
+        description: `"${auditTable}" table was created.`,
+        kind: 'safe',
+      },
+      ..._.map(auditSchema.indices, (index, indexName) => ({
+        sql: `CREATE ${index}`,
+        description: `Index "${indexName}" was added to the "${auditTable}" table.`,
+        kind: 'safe',
+      })),
+    ];
+  };
+  const updateAuditMetaTable = async (conn) => {
+    await dialect.query(conn, dialect.getUpsertSql(metaTable, ['name', 'hash', 'schema_obj'], ['name']),
+      [auditTable, auditHash, JSON.stringify(auditSchema)]);
+  };
+  const getRefModel = (ref) => {
+    const model = getModel(models, ref);
+    if (!model) throw new Error(`unknown_model_${ref}`);
+    return model;
+  };
+  const getHasManyRelation = (singularTitle, relation) => {
+    const { model: ref, field: refProp, sort } = models[singularTitle].hasMany[relation];
+    const model = getRefModel(ref);
+    // Without a field, use the (only) ref field that points back to this model.
+    const field = refProp || _.findKey(model.fields, refField => (
+      refField instanceof RefField && refField.ref && getRefModel(refField.ref) === models[singularTitle]
+    ));
+    if (!field) throw new Error(`unknown_relation_field_${relation}`);
+    return { model, field, sort };
+  };
+  const includeRelations = async (conn, singularTitle, objs, include = []) => {
+    const { fields, hasMany } = models[singularTitle];
+    await Promise.all(
+      include.map(async (relation) => {
+        const field = fields[relation];
+        if (field instanceof RefField && field.ref) {
+          const { names } = getRefModel(field.ref);
+          const ids = _.uniq(objs.map(obj => obj[relation]).filter(id => id !== undefined && id !== null));
+          if (ids.length === 0) return;
+          const refObjs = await fns[`get${names.pluralTitle}WithConn`](conn, {
+            filters: [{ prop: 'id', op: 'in', value: ids }],
+          });
+          const refObjsById = _.keyBy(refObjs, 'id');
+          objs.forEach((obj) => {
+            if (obj[relation] !== undefined && obj[relation] !== null) {
+              obj[relation] = refObjsById[obj[relation]] || null;
+            }
+          });
+        } else if (hasMany[relation]) {
+          const { model, field: refProp, sort } = getHasManyRelation(singularTitle, relation);
+          const ids = _.uniq(objs.map(obj => obj.id));
+          const refObjs = (ids.length === 0 ? [] : await fns[`get${model.names.pluralTitle}WithConn`](conn, {
+            sort,
+            filters: [{ prop: refProp, op: 'in', value: ids }],
+          }));
+          const refObjsById = _.groupBy(refObjs, refProp);
+          objs.forEach((obj) => {
+            obj[relation] = refObjsById[obj.id] || [];
+          });
+        } else {
+          throw new Error(`unknown_relation_${relation}`);
+        }
+      })
+    );
+  };
+  // Foreign keys need the table names of the referenced models, so they are added once all the models are known.
+  Object.keys(models).forEach((singularTitle) => {
+    const model = models[singularTitle];
+    const { schema, indices, fields, names } = model;
+    const foreignKeys = {};
+    Object.keys(fields).forEach((prop) => {
+      const field = fields[prop];
+      if (!(field instanceof RefField) || !field.foreignKey) return;
+      const { names: refNames } = getRefModel(field.ref);
+      const onDelete = field.getOnDeleteAction();
+      const foreignKeyName = `fk_${objHash([names.tableName, field.columnName, refNames.tableName, onDelete])}`;
+      foreignKeys[foreignKeyName] = dialect.getForeignKeyDefinition(foreignKeyName, field.columnName, refNames.tableName, 'id', onDelete);
+    });
+    // Only tables with foreign keys keep track of them, so other table hashes stay the same.
+    const tableSchema = (_.isEmpty(foreignKeys) ? { schema, indices } : { schema, indices, foreignKeys });
+    Object.assign(model, {
+      foreignKeys,
+      tableHash: objHash(tableSchema),
+      tableSchemaJson: JSON.stringify(tableSchema),
+    });
+  });
+  // Tables are created after the tables they have foreign keys to, and dropped before them.
+  const getModelsInOrder = () => {
+    const ordered = [];
+    const visiting = {};
+    const visit = (singularTitle) => {
+      if (ordered.includes(singularTitle)) return;
+      if (visiting[singularTitle]) throw new Error(`circular_foreign_keys_${singularTitle}`);
+      visiting[singularTitle] = true;
+      _.forEach(models[singularTitle].fields, (field) => {
+        if (field instanceof RefField && field.foreignKey) {
+          const { names } = getRefModel(field.ref);
+          if (names.singularTitle !== singularTitle) visit(names.singularTitle);
+        }
+      });
+      visiting[singularTitle] = false;
+      ordered.push(singularTitle);
+    };
+    Object.keys(models).forEach(visit);
+    return ordered;
+  };
   fnIndex.schema['dropAllTables'] = {
     args: [],
-    description: `Drop all tables, and the meta table from the DB.`,
+    description: `Drop all tables, and the meta and migrations tables from the DB.`,
   };
-  fns.dropAllTables = connifyAndCommit(db, fns, 'dropAllTables');
+  fns.dropAllTables = connifyAndCommit(db, fns, 'dropAllTables', SCHEMA_TRANSACTION);
   fns.dropAllTablesWithConn = async (conn) => {
     log.info(`DROPPING ALL TABLES!`);
-    for (let i = 0; i < models.length; i++) {
-      const { tableName, pluralTitle } = models[i];
+    const keys = getModelsInOrder().reverse();
+    for (let i = 0; i < keys.length; i++) {
+      const { tableName, pluralTitle } = models[keys[i]].names;
       log.info(`Drop table "${tableName}"...`);
-      await fns[`drop${pluralTitle}Table`]();
+      await fns[`drop${pluralTitle}TableWithConn`](conn);
     }
-    await conn.query(`
+    await dialect.query(conn, `
       DROP TABLE IF EXISTS ${metaTable}
     `);
+    await dialect.query(conn, `
+      DROP TABLE IF EXISTS ${migrationsTable}
+    `);
+    if (_.some(models, 'audit')) {
+      await dialect.query(conn, `
+        DROP TABLE IF EXISTS ${auditTable}
+      `);
+    }
   };
   fnIndex.schema['forceUpdateAllMetaTables'] = {
     args: [],
@@ -890,48 +2506,155 @@ exports.init = async (opts = {}) => {
   };
   fns.forceUpdateAllMetaTables = connifyAndCommit(db, fns, 'forceUpdateAllMetaTables');
   fns.forceUpdateAllMetaTablesWithConn = async (conn) => {
-    for (let i = 0; i < models.length; i++) {
-      const { pluralTitle } = models[i];
-      await fns[`forceUpdate${pluralTitle}MetaTable`]();
+    const keys = Object.keys(models);
+    for (let i = 0; i < keys.length; i++) {
+      const { pluralTitle } = models[keys[i]].names;
+      await fns[`forceUpdate${pluralTitle}MetaTableWithConn`](conn);
     }
+    if (_.some(models, 'audit')) await updateAuditMetaTable(conn);
   };
-  fnIndex.schema['ensureAllTables'] = {
+  fnIndex.schema['planAllTables'] = {
     args: [],
+    description: `Lists the statements that would create or update the tables in the DB, without running them.`,
+    returns: { type: '[object{table, sql, description, kind}]', description: 'The statements, in order.' },
+  };
+  fns.planAllTables = connifyAndRelease(db, fns, 'planAllTables');
+  fns.planAllTablesWithConn = async (conn) => {
+    const plan = [];
+    const keys = getModelsInOrder();
+    for (let i = 0; i < keys.length; i++) {
+      const { pluralTitle, tableName } = models[keys[i]].names;
+      const statements = await fns[`plan${pluralTitle}TableWithConn`](conn);
+      plan.push(...statements.map(statement => ({ table: tableName, ...statement })));
+    }
+    const auditStatements = await planAuditTable(conn);
+    plan.push(...auditStatements.map(statement => ({ table: auditTable, ...statement })));
+    return plan;
+  };
+  fnIndex.schema['ensureAllTables'] = {
+    args: [
+      {
+        name: 'ensureOpts',
+        type: 'object{allowDestructive}',
+        description: 'Set allowDestructive to true to allow dropping columns and narrowing their types.',
+      },
+    ],
     description: `Create or update the tables in the DB.`,
   };
-  fns.ensureAllTables = connifyAndCommit(db, fns, 'ensureAllTables');
-  fns.ensureAllTablesWithConn = async (conn) => {
-    await conn.query(`
-      CREATE TABLE IF NOT EXISTS ${metaTable} (
-        name VARCHAR(31) PRIMARY KEY,
-        hash VARCHAR(127),
-        schema_obj TEXT
-      )
-    `);
-    const keys = Object.keys(models);
+  fns.ensureAllTables = connifyAndCommit(db, fns, 'ensureAllTables', SCHEMA_TRANSACTION);
+  fns.ensureAllTablesWithConn = async (conn, ensureOpts = {}) => {
+    const { allowDestructive = false } = ensureOpts;
+    const isNewDb = !(await hasTable(conn, metaTable));
+    await ensureMetaTable(conn);
+    // Checks every table before changing any, since schema changes may not be rolled back.
+    checkSchemaStatements(await fns.planAllTablesWithConn(conn), allowDestructive);
+    if (isNewDb) {
+      // A new DB has no data for the "before" migrations to prepare (nor tables for them to use),
+      // so they're only saved as run.
+      const skippedIds = (await fns.pendingMigrationsWithConn(conn))
+        .filter(({ phase }) => phase === 'before')
+        .map(({ id }) => id);
+      await ensureMigrationsTable(conn);
+      for (let i = 0; i < skippedIds.length; i++) {
+        log.info(`Skipping migration "${skippedIds[i]}" on a new DB.`);
+        await saveMigration(conn, skippedIds[i]);
+      }
+    } else {
+      await fns.runMigrationsWithConn(conn, { phase: 'before' });
+    }
+    const auditStatements = await planAuditTable(conn);
+    if (auditStatements.length > 0) {
+      for (let i = 0; i < auditStatements.length; i++) {
+        const { sql, description } = auditStatements[i];
+        log.info(description);
+        await dialect.query(conn, sql);
+      }
+      await updateAuditMetaTable(conn);
+    }
+    const keys = getModelsInOrder();
     for (let i = 0; i < keys.length; i++) {
       const singularTitle = keys[i];
       const { names, tableHash } = models[singularTitle];
       const { pluralTitle, tableName } = names;
-      const hashRows = await conn.query(`
-        SELECT hash, schema_obj FROM ${metaTable} WHERE name = ? LIMIT 1
-      `, [tableName]);
-      const [hashRow] = hashRows || [];
-      const {
-        hash: oldHash = '',
-        schema_obj: oldSchemaJson = '',
-      } = hashRow || {};
+      const { oldHash, oldSchemaObj, oldTableName } = await getTableMeta(conn, names);
+      if (oldHash && oldTableName !== tableName) {
+        // The meta table is updated too, so that the table is only renamed once.
+        log.info(`"${oldTableName}" table was renamed to "${tableName}".`);
+        await dialect.query(conn, dialect.getRenameTableSql(oldTableName, tableName));
+        await dialect.query(conn, `UPDATE ${metaTable} SET name = ? WHERE name = ?`, [tableName, oldTableName]);
+      }
       if (!oldHash) {
         log.info(`First time seeing this schema, create "${tableName}" table!`);
-        await fns[`create${pluralTitle}Table`]();
+        await fns[`create${pluralTitle}TableWithConn`](conn);
       } else if (oldHash !== tableHash) {
         log.info(`"${tableName}" table changed - updating schema.`);
-        const oldSchemaObj = JSON.parse(oldSchemaJson);
-        await fns[`ensure${pluralTitle}Table`](oldSchemaObj);
+        await fns[`ensure${pluralTitle}TableWithConn`](conn, oldSchemaObj, { allowDestructive });
       } else {
         log.info(`No schema changes for "${tableName}".`);
       }
     }
+    await fns.runMigrationsWithConn(conn, { phase: 'after' });
+  };
+  const ensureMigrationsTable = async (conn) => {
+    await dialect.query(conn, `
+      CREATE TABLE IF NOT EXISTS ${migrationsTable} (
+        id VARCHAR(127) PRIMARY KEY,
+        ran_at ${dialect.getDateType()}
+      )
+    `);
+  };
+  const saveMigration = async (conn, id) => {
+    await dialect.query(conn, `INSERT INTO ${migrationsTable} (id, ran_at) VALUES (?, ?)`, [id, new Date()]);
+  };
+  const getPendingMigrations = ranIds => migrations
+    .filter(({ id }) => !ranIds.includes(id))
+    .map(({ id, phase = 'after', description = '' }) => ({ id, phase, description }));
+  fnIndex.schema['pendingMigrations'] = {
+    args: [],
+    description: `Lists the migrations that haven't been run yet, in order.`,
+    returns: { type: '[object{id, phase, description}]', description: 'The pending migrations, in order.' },
+  };
+  fns.pendingMigrations = connifyAndRelease(db, fns, 'pendingMigrations');
+  fns.pendingMigrationsWithConn = async (conn) => {
+    if (!(await hasTable(conn, migrationsTable))) return getPendingMigrations([]);
+    const rows = await dialect.select(conn, `SELECT id FROM ${migrationsTable}`);
+    return getPendingMigrations(rows.map(({ id }) => id));
+  };
+  fnIndex.schema['runMigrations'] = {
+    args: [
+      {
+        name: 'runOpts',
+        type: 'object{to, phase}',
+        description: 'Runs the pending migrations up to (and including) the "to" migration ID, or of a phase only.',
+      },
+    ],
+    description: `Runs the pending migrations in order, and returns their IDs.`,
+    returns: { type: '[string]', description: 'IDs of the migrations that were run.' },
+  };
+  fns.runMigrations = connifyAndCommit(db, fns, 'runMigrations');
+  fns.runMigrationsWithConn = async (conn, runOpts = {}) => {
+    const { to, phase } = runOpts;
+    const toIndex = (to === undefined ? migrations.length - 1 : migrations.findIndex(({ id }) => id === to));
+    if (to !== undefined && toIndex < 0) throw new Error(`unknown_migration_${to}`);
+    const pendingIds = (await fns.pendingMigrationsWithConn(conn))
+      .filter(migration => !phase || migration.phase === phase)
+      .map(({ id }) => id);
+    await ensureMigrationsTable(conn);
+    // Only the WithConn functions are passed, since the others would wait for this connection.
+    const withConnFns = _.pickBy(fns, (fn, fnName) => fnName.endsWith('WithConn'));
+    const ranIds = [];
+    for (let i = 0; i <= toIndex; i++) {
+      const { id, up } = migrations[i];
+      if (pendingIds.includes(id)) {
+        log.info(`Running migration "${id}".`);
+        await up(conn, withConnFns);
+        await saveMigration(conn, id);
+        ranIds.push(id);
+      }
+    }
+    return ranIds;
   };
-  return { index: fnIndex, fns, models };
+  // Runs fn(conn) in a transaction like the generated functions do, so that the rows it changes are uncached.
+  const withTransaction = async (fn, transactionOpts) => runInTransaction(db, transactionOpts, fn);
+  return { index: fnIndex, fns, models, withTransaction };
 };
@@ -0,0 +1,321 @@
+const _ = require('lodash');
+const { ValidationError, StaleObjectError, getModel, parseSortProp } = require('./index');
+
+const OPERATIONS = ['list', 'get', 'create', 'update', 'delete', 'lookup'];
+// Filters are given in the query string like "age[gte]=18", so the ops have names that fit in a URL.
+const QUERY_OPS = {
+  eq: '=',
+  ne: '!=',
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>=',
+  in: 'in',
+  notIn: 'not in',
+  between: 'between',
+  like: 'like',
+  startsWith: 'startsWith',
+  isNull: 'isNull',
+  isNotNull: 'isNotNull',
+};
+const LIST_QUERY_OPS = ['in', 'not in', 'between'];
+const INT_PARAMS = ['limit', 'offset', 'first'];
+const LIST_PARAMS = ['fields', 'include'];
+const BOOLEAN_PARAMS = ['withDeleted', 'onlyDeleted'];
+const STRING_PARAMS = ['view', 'after'];
+// Errors thrown by the model functions because of what was asked for, rather than something going wrong.
+const BAD_REQUEST_ERRORS = /^(unknown_field_|unknown_filter_op_|unknown_view_|unknown_relation|unsortable_field_|missing_field_|invalid_filter|invalid_query_|invalid_sort|invalid_cursor|invalid_first|pagination_needs_id|missing_id|missing_arguments)/;
+
+class HttpError extends Error {
+  constructor(status, code) {
+    super(code);
+    this.status = status;
+  }
+}
+
+function getList(value = '') {
+  return value.split(',').map(item => item.trim()).filter(item => item);
+}
+
+// Turns a query string like "?fields=id,name&sort=-createdAt&limit=10&name[startsWith]=A" into view options.
+function getViewOptions(searchParams, fields) {
+  const viewOptions = {};
+  const filters = [];
+  searchParams.forEach((value, key) => {
+    if (INT_PARAMS.includes(key)) {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0) throw new HttpError(400, `invalid_${key}`);
+      viewOptions[key] = number;
+    } else if (LIST_PARAMS.includes(key)) {
+      viewOptions[key] = getList(value);
+    } else if (BOOLEAN_PARAMS.includes(key)) {
+      viewOptions[key] = (value === 'true' || value === '1');
+    } else if (STRING_PARAMS.includes(key)) {
+      viewOptions[key] = value;
+    } else if (key === 'sort') {
+      viewOptions.sort = getList(value).map(sortProp => parseSortProp(sortProp, fields));
+    } else {
+      const [, prop, queryOp = 'eq'] = key.match(/^([^[\]]+)(?:\[(\w+)\])?$/) || [];
+      if (!prop) throw new HttpError(400, 'invalid_filter');
+      const op = QUERY_OPS[queryOp];
+      if (!op) throw new HttpError(400, `unknown_filter_op_${queryOp}`);
+      filters.push({ prop, op, value: (LIST_QUERY_OPS.includes(op) ? getList(value) : value) });
+    }
+  });
+  if (filters.length > 0) viewOptions.filters = filters;
+  return viewOptions;
+}
+
+async function readBody(req) {
+  // Express (with a body parser) has already read it.
+  let body = req.body;
+  if (body === undefined) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    try {
+      body = (text ? JSON.parse(text) : {});
+    } catch (e) {
+      throw new HttpError(400, 'invalid_json');
+    }
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'invalid_body');
+  return body;
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  if (body === undefined) {
+    res.end();
+    return;
+  }
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(body));
+}
+
+// Each route is { method, operation, path: ['users', ':id'], handle(req, pathValues, searchParams) }.
+// Only the relations to readable models can be included, and deleted rows only got if they are allowed.
+function getModelRoutes(singularTitle, fnIndex, fns, models, routeOpts) {
+  const { getContext, getModelTitle, isReadable, allowDeleted } = routeOpts;
+  const { names, fields, hasMany } = models[singularTitle];
+  const { singularTitle: title, pluralTitle } = names;
+  const basePath = _.kebabCase(names.pluralName);
+  const fnInfos = Object.assign({}, ..._.map(fnIndex, category => _.pickBy(category, ({ model }) => model === title)));
+  const getWriteArgs = (fnName, req) => (_.some(fnInfos[fnName].args, { name: 'context' }) ? [getContext(req)] : []);
+  const getObj = async (id, fieldsParam) => {
+    const obj = await fns[`get${title}ById`](id, getList(fieldsParam || ''));
+    if (!obj) throw new HttpError(404, 'not_found');
+    return obj;
+  };
+  const getRelationModel = (relation) => {
+    if (Object.prototype.hasOwnProperty.call(hasMany, relation)) {
+      return hasMany[relation].model;
+    }
+    return (Object.prototype.hasOwnProperty.call(fields, relation) ? fields[relation].ref : undefined);
+  };
+  const getModelViewOptions = (searchParams) => {
+    const viewOptions = getViewOptions(searchParams, fields);
+    (viewOptions.include || []).forEach((relation) => {
+      const ref = getRelationModel(relation);
+      if (!ref || !isReadable(getModelTitle(ref))) throw new HttpError(400, `unknown_relation_${relation}`);
+    });
+    BOOLEAN_PARAMS.forEach((key) => {
+      if (viewOptions[key] && !allowDeleted) throw new HttpError(400, `invalid_${key}`);
+    });
+    return viewOptions;
+  };
+  const checkExists = async (id) => {
+    if (!(await fns[`${_.lowerFirst(title)}ExistsById`](id))) throw new HttpError(404, 'not_found');
+  };
+  const routes = [];
+  if (fnInfos[`get${pluralTitle}`]) {
+    routes.push({
+      method: 'GET',
+      operation: 'list',
+      path: [basePath],
+      handle: async (req, values, searchParams) => [200, await fns[`get${pluralTitle}`](getModelViewOptions(searchParams))],
+    });
+  }
+  if (fields.id) {
+    routes.push({
+      method: 'GET',
+      operation: 'get',
+      path: [basePath, ':id'],
+      handle: async (req, [id], searchParams) => [200, await getObj(id, searchParams.get('fields'))],
+    });
+    routes.push({
+      method: 'POST',
+      operation: 'create',
+      path: [basePath],
+      handle: async (req) => {
+        const fnName = `create${title}`;
+        const id = await fns[fnName](await readBody(req), ...getWriteArgs(fnName, req));
+        return [201, await getObj(id)];
+      },
+    });
+    routes.push({
+      method: 'PATCH',
+      operation: 'update',
+      path: [basePath, ':id'],
+      handle: async (req, [id]) => {
+        const fnName = `update${title}ById`;
+        const updateObj = await readBody(req);
+        await checkExists(id);
+        await fns[fnName](id, updateObj, ...getWriteArgs(fnName, req));
+        return [200, await getObj(id)];
+      },
+    });
+    routes.push({
+      method: 'DELETE',
+      operation: 'delete',
+      path: [basePath, ':id'],
+      handle: async (req, [id]) => {
+        const fnName = `delete${title}ById`;
+        await checkExists(id);
+        await fns[fnName](id, ...getWriteArgs(fnName, req));
+        return [204];
+      },
+    });
+  }
+  // Lookups by a unique index return one row, and lookups by the other indices return a list.
+  // Unique lookups come first, in case there is also an index on the same fields.
+  const fnNames = _.sortBy(Object.keys(fnInfos), fnName => (fnName.startsWith(`get${pluralTitle}By`) ? 1 : 0));
+  fnNames.forEach((fnName) => {
+    const uniqueMatch = fnName.match(new RegExp(`^get${title}By(\\w+)$`));
+    const queryMatch = fnName.match(new RegExp(`^get${pluralTitle}By(\\w+)$`));
+    const codeNames = (uniqueMatch || queryMatch || [])[1];
+    if (!codeNames || codeNames === 'Id') return;
+    const valueCount = fnInfos[fnName].args.length - 1;
+    routes.push({
+      method: 'GET',
+      operation: 'lookup',
+      path: [basePath, `by-${_.kebabCase(codeNames)}`, ..._.times(valueCount, i => `:value${i}`)],
+      handle: async (req, values, searchParams) => {
+        if (queryMatch) return [200, await fns[fnName](...values, getModelViewOptions(searchParams))];
+        const obj = await fns[fnName](...values, getList(searchParams.get('fields') || ''));
+        if (!obj) throw new HttpError(404, 'not_found');
+        return [200, obj];
+      },
+    });
+  });
+  return routes;
+}
+
+function getRoutes(initResult = {}, opts = {}) {
+  const { fns, index: fnIndex, models } = initResult;
+  const { expose, allowDeleted = [], getContext = () => undefined } = opts;
+  const getModelTitle = (ref) => {
+    const model = getModel(models, ref);
+    if (!model) throw new Error(`unknown_model_${ref}`);
+    return model.names.singularTitle;
+  };
+  // Every operation of every model is exposed unless the models (and their operations) are listed.
+  const exposed = {};
+  if (expose === undefined) {
+    Object.keys(models).forEach((singularTitle) => {
+      exposed[singularTitle] = OPERATIONS;
+    });
+  } else {
+    Object.keys(expose).forEach((ref) => {
+      const operations = (expose[ref] === true ? OPERATIONS : (expose[ref] || []));
+      const unknownOperation = operations.find(operation => !OPERATIONS.includes(operation));
+      if (unknownOperation) throw new Error(`unknown_operation_${unknownOperation}`);
+      exposed[getModelTitle(ref)] = operations;
+    });
+  }
+  const allowedDeleted = allowDeleted.map(getModelTitle);
+  const isReadable = singularTitle => _.intersection(exposed[singularTitle], ['list', 'get', 'lookup']).length > 0;
+  return _.flatMap(Object.keys(exposed), (singularTitle) => {
+    const routeOpts = {
+      getContext,
+      getModelTitle,
+      isReadable,
+      allowDeleted: allowedDeleted.includes(singularTitle),
+    };
+    return getModelRoutes(singularTitle, fnIndex, fns, models, routeOpts)
+      .filter(({ operation }) => exposed[singularTitle].includes(operation));
+  });
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    throw new HttpError(400, 'invalid_path');
+  }
+}
+
+function matchRoute(routes, method, segments) {
+  for (let i = 0; i < routes.length; i++) {
+    const route = routes[i];
+    if (route.method === method && route.path.length === segments.length) {
+      const matches = route.path.every((part, j) => part.startsWith(':') || part === segments[j]);
+      if (matches) {
+        const values = segments.filter((segment, j) => route.path[j].startsWith(':'));
+        return { route, values };
+      }
+    }
+  }
+  return null;
+}
+
+function getErrorResponse(e) {
+  if (e instanceof ValidationError) {
+    return [400, { error: e.message, errors: e.errors, index: e.index }];
+  } else if (e instanceof StaleObjectError) {
+    return [409, { error: e.message }];
+  } else if (e instanceof HttpError) {
+    return [e.status, { error: e.message }];
+  } else if (BAD_REQUEST_ERRORS.test(e.message)) {
+    return [400, { error: e.message }];
+  }
+  return null;
+}
+
+// Handles the request if it matches a route, and returns whether it did.
+// Errors that aren't because of the request (like the DB being down) are thrown.
+async function handleRequest(routes, basePath, req, res) {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  if (!pathname.startsWith(basePath)) return false;
+  const segments = pathname.slice(basePath.length).split('/').filter(segment => segment);
+  try {
+    const match = matchRoute(routes, req.method, segments.map(decodeSegment));
+    if (!match) return false;
+    const [status, body] = await match.route.handle(req, match.values, searchParams);
+    sendJson(res, status, body);
+  } catch (e) {
+    const errorResponse = getErrorResponse(e);
+    if (!errorResponse) throw e;
+    sendJson(res, ...errorResponse);
+  }
+  return true;
+}
+
+// Returns a request handler for Node's http module, which responds with a 404 to unknown paths
+// and with a 500 to unexpected errors (which are passed to `onError`).
+exports.createHandler = (initResult, opts = {}) => {
+  const { basePath = '', onError = _.noop } = opts;
+  const routes = getRoutes(initResult, opts);
+  return async (req, res) => {
+    try {
+      const handled = await handleRequest(routes, basePath, req, res);
+      if (!handled) sendJson(res, 404, { error: 'not_found' });
+    } catch (e) {
+      onError(e);
+      sendJson(res, 500, { error: 'internal_error' });
+    }
+  };
+};
+
+// Returns an Express middleware, which leaves unknown paths and unexpected errors to the next handlers.
+exports.createExpressHandler = (initResult, opts = {}) => {
+  const { basePath = '' } = opts;
+  const routes = getRoutes(initResult, opts);
+  return (req, res, next) => {
+    handleRequest(routes, basePath, req, res).then((handled) => {
+      if (!handled) next();
+    }, next);
+  };
+};
@@ -0,0 +1,101 @@
+const NOOP = () => {};
+
+function toSQLiteValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  } else if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  } else if (value === undefined) {
+    return null;
+  }
+  return value;
+}
+
+class Conn {
+  constructor(database, unlock = NOOP, checkForeignKeys = false) {
+    this.database = database;
+    this.unlock = unlock;
+    this.checkForeignKeys = checkForeignKeys;
+  }
+  async query(sql, params = []) {
+    const statement = this.database.prepare(sql);
+    const values = params.map(toSQLiteValue);
+    if (statement.reader) {
+      return statement.all(...values);
+    }
+    const { changes, lastInsertRowid } = statement.run(...values);
+    return { affectedRows: changes, insertId: lastInsertRowid };
+  }
+  release() {
+    this.unlock();
+  }
+  async commit() {
+    try {
+      if (this.checkForeignKeys && this.database.pragma('foreign_key_check').length > 0) {
+        throw new Error('foreign_key_check_failed');
+      }
+      this.database.exec('COMMIT');
+    } catch (e) {
+      await this.rollback();
+      throw e;
+    }
+    this.release();
+  }
+  async rollback() {
+    if (this.database.inTransaction) {
+      this.database.exec('ROLLBACK');
+    }
+    this.release();
+  }
+}
+
+exports.Conn = Conn;
+
+// Opens a SQLite database (a file, or ":memory:") using better-sqlite3, and returns
+// a DB wrapper that can be passed to init() along with `dialect: 'sqlite'`.
+exports.connect = (filename = ':memory:', opts = {}) => {
+  const { driver, ...options } = opts;
+  const Database = driver || require('better-sqlite3');
+  const database = new Database(filename, options);
+  // SQLite leaves foreign keys (and their ON DELETE actions) off unless they are turned on.
+  database.pragma('foreign_keys = ON');
+  // There is only one connection, so connections have to wait for each other to be released,
+  // otherwise reads could see the uncommitted changes of a transaction.
+  let lock = Promise.resolve();
+  const acquireLock = async () => {
+    const previousLock = lock;
+    let unlock;
+    lock = new Promise((resolve) => {
+      unlock = resolve;
+    });
+    await previousLock;
+    return unlock;
+  };
+  return {
+    database,
+    getConnection: async () => {
+      return new Conn(database, await acquireLock());
+    },
+    transaction: async (transactionOpts = {}) => {
+      const unlock = await acquireLock();
+      // Schema changes may need to rebuild tables that other tables refer to, which would
+      // trigger their ON DELETE actions. So like SQLite recommends, turn off foreign keys
+      // (which can only be done outside a transaction) and check them before committing.
+      const foreignKeys = !!transactionOpts.schema && !!database.pragma('foreign_keys', { simple: true });
+      if (foreignKeys) {
+        database.pragma('foreign_keys = OFF');
+      }
+      database.exec('BEGIN');
+      return new Conn(database, () => {
+        if (foreignKeys) {
+          database.pragma('foreign_keys = ON');
+        }
+        unlock();
+      }, foreignKeys);
+    },
+    close: async () => {
+      await lock;
+      database.close();
+    },
+  };
+};
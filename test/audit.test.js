@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+  timestamps: true,
+  audit: true,
+};
+
+test('leaves out updates that changed nothing', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const id = await fns.createUser({ name: 'Leander' }, { actor: 'me' });
+  await fns.updateUserById(id, { name: 'Leander' }, { actor: 'me' });
+  await fns.updateUserById(id, { name: 'Lee' }, { actor: 'me' });
+  const history = await fns.getUserHistoryById(id);
+  assert.deepStrictEqual(history.map(({ operation }) => operation), ['create', 'update']);
+  assert.deepStrictEqual(history[1].changes.name, { before: 'Leander', after: 'Lee' });
+  await db.close();
+});
+
+test('plans and saves the audit log table like the models\' tables', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  assert.ok((await fns.planAllTables()).some(({ table }) => table === 'audit_log'));
+  await fns.ensureAllTables();
+  assert.deepStrictEqual(await fns.planAllTables(), []);
+  const conn = await db.getConnection();
+  // An older version of the audit log table, without the index.
+  const [row] = await conn.query('SELECT schema_obj FROM meta_schema WHERE name = ?', ['audit_log']);
+  const oldSchemaObj = { ...JSON.parse(row.schema_obj), indices: {} };
+  await conn.query('UPDATE meta_schema SET hash = ?, schema_obj = ? WHERE name = ?', ['old', JSON.stringify(oldSchemaObj), 'audit_log']);
+  await conn.query(`DROP INDEX ${Object.keys(JSON.parse(row.schema_obj).indices)[0]}`);
+  conn.release();
+  const plan = await fns.planAllTables();
+  assert.deepStrictEqual(plan.map(({ table, kind }) => [table, kind]), [['audit_log', 'safe']]);
+  assert.match(plan[0].sql, /^CREATE INDEX .* ON audit_log \(model,row_id\)$/);
+  await fns.ensureAllTables();
+  assert.deepStrictEqual(await fns.planAllTables(), []);
+  await db.close();
+});
+
+test('rejects audited models without an ID', async () => {
+  const db = sqlite.connect();
+  const Event = { name: 'Event', fields: { name: { type: 'text' } }, audit: true };
+  await assert.rejects(models.init({ models: [Event], db, dialect: 'sqlite' }), /audit_needs_id_Event/);
+  await db.close();
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const Tag = {
+  name: 'Tag',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+};
+
+test('returns the IDs of bulk created rows in order', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [Tag], db, dialect: 'sqlite', bulkChunkSize: 2 });
+  await fns.ensureAllTables();
+  const ids = await fns.createTags([
+    { name: 'a' },
+    { id: 100, name: 'b' },
+    { name: 'c' },
+    { id: 50, name: 'd' },
+    { name: 'e' },
+  ]);
+  assert.strictEqual(ids[1], 100);
+  assert.strictEqual(ids[3], 50);
+  const tags = await Promise.all(ids.map(id => fns.getTagById(id)));
+  assert.deepStrictEqual(tags.map(tag => tag.name), ['a', 'b', 'c', 'd', 'e']);
+  await db.close();
+});
+
+test('works out bulk insert IDs from the auto increment step', () => {
+  const mysql = new models.Dialects.mysql();
+  assert.deepStrictEqual(mysql.getInsertIds({ insertId: 11 }, 3, 10), [11, 21, 31]);
+  const postgres = new models.Dialects.postgres();
+  assert.deepStrictEqual(postgres.getInsertIds({ rows: [{ id: '12' }, { id: '10' }, { id: '11' }] }, 3), ['10', '11', '12']);
+});
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text', required: true },
+    email: { type: 'email' },
+  },
+  indices: [{ type: 'unique', fields: ['email'] }],
+};
+
+test('validates every row before updating any of them', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const ids = await fns.createUsers([{ name: 'Leander' }, { name: 'Lee' }]);
+  // Without a transaction, rows updated before the failing one would stay updated.
+  const conn = await db.getConnection();
+  const error = await fns.updateUsersByIdWithConn(conn, [
+    { id: ids[0], name: 'Leo' },
+    { id: ids[1], email: 'nope' },
+  ]).catch(e => e);
+  conn.release();
+  assert.ok(error instanceof models.ValidationError);
+  assert.strictEqual(error.index, 1);
+  assert.deepStrictEqual(error.errors.map(({ prop, code }) => [prop, code]), [['email', 'invalid_email']]);
+  assert.strictEqual((await fns.getUserById(ids[0])).name, 'Leander');
+  await db.close();
+});
+
+test('validates upserts of existing rows like updates', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  await assert.rejects(fns.upsertUserByEmail('me@leander.ca', {}), models.ValidationError);
+  const id = await fns.upsertUserByEmail('me@leander.ca', { name: 'Leander' });
+  assert.strictEqual(await fns.upsertUserByEmail('me@leander.ca', {}), id);
+  assert.deepStrictEqual(await fns.getUserById(id), { id, name: 'Leander', email: 'me@leander.ca' });
+  await assert.rejects(fns.upsertUserByEmail('me@leander.ca', { name: null }), models.ValidationError);
+  await db.close();
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+};
+const Post = {
+  name: 'Post',
+  fields: {
+    id: { type: 'id' },
+    title: { type: 'text' },
+    author: { type: 'ref', ref: 'User', onDelete: 'cascade' },
+    editor: { type: 'ref', ref: 'User', onDelete: 'set null' },
+  },
+};
+const Comment = {
+  name: 'Comment',
+  fields: {
+    id: { type: 'id' },
+    post: { type: 'ref', ref: 'Post', onDelete: 'cascade' },
+  },
+};
+
+// Keeps track of the keys removed from the cache.
+class TestCache extends models.LruCache {
+  constructor() {
+    super();
+    this.deleted = [];
+  }
+  async del(keys) {
+    this.deleted.push(...keys);
+    return super.del(keys);
+  }
+}
+
+async function setup(t) {
+  const db = sqlite.connect();
+  t.after(() => db.close());
+  const cache = new TestCache();
+  const api = await models.init({ models: [User, Post, Comment], db, dialect: 'sqlite', cache });
+  await api.fns.ensureAllTables();
+  return { ...api, cache };
+}
+
+test('uncaches the rows changed by ON DELETE actions', async (t) => {
+  const { fns } = await setup(t);
+  const authorId = await fns.createUser({ name: 'Author' });
+  const editorId = await fns.createUser({ name: 'Editor' });
+  const postId = await fns.createPost({ title: 'Hello', author: authorId, editor: editorId });
+  const commentId = await fns.createComment({ post: postId });
+  await fns.getPostById(postId);
+  await fns.getCommentById(commentId);
+  await fns.deleteUserById(editorId);
+  assert.strictEqual((await fns.getPostById(postId)).editor, null);
+  await fns.deleteUserById(authorId);
+  assert.strictEqual(await fns.getPostById(postId), null);
+  assert.strictEqual(await fns.getCommentById(commentId), null);
+});
+
+test('uncaches the changed rows again once a transaction has ended', async (t) => {
+  const { fns, withTransaction, cache } = await setup(t);
+  const id = await fns.createUser({ name: 'Leander' });
+  await fns.getUserById(id);
+  let transactionConn;
+  await withTransaction(async (conn) => {
+    transactionConn = conn;
+    await fns.updateUserByIdWithConn(conn, id, { name: 'Lee' });
+    assert.deepStrictEqual(cache.deleted, ['users:Id:["1"]']);
+    assert.strictEqual((await fns.getUserByIdWithConn(conn, id)).name, 'Lee');
+  });
+  assert.deepStrictEqual(cache.deleted, ['users:Id:["1"]', 'users:Id:["1"]']);
+  assert.strictEqual(transactionConn.commit, sqlite.Conn.prototype.commit);
+  await assert.rejects(withTransaction(async (conn) => {
+    await fns.updateUserByIdWithConn(conn, id, { name: 'Leo' });
+    throw new Error('nope');
+  }), /nope/);
+  assert.strictEqual((await fns.getUserById(id)).name, 'Lee');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    firstName: { type: 'text' },
+    lastName: { type: 'text' },
+    email: { type: 'email' },
+    team: { type: 'ref', ref: 'Team' },
+  },
+  indices: [
+    { type: 'unique', fields: ['email'] },
+    { type: 'unique', fields: ['team', 'firstName'] },
+    { type: 'tree', fields: ['lastName', 'firstName'] },
+  ],
+};
+const Team = {
+  name: 'Team',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User, Team], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const teamId = await fns.createTeam({ name: 'Core' });
+  const ids = await fns.createUsers([
+    { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@x.co', team: teamId },
+    { firstName: 'Byron', lastName: 'Lovelace', email: 'byron@x.co', team: teamId },
+    { firstName: 'Cy', lastName: 'Young', email: 'cy@x.co' },
+  ]);
+  return { db, fns, teamId, ids };
+}
+
+test('counts the rows matching the filters, ignoring limit and offset', async () => {
+  const { db, fns } = await setup();
+  assert.strictEqual(await fns.countUsers(), 3);
+  assert.strictEqual(await fns.countUsers({ filters: [{ prop: 'lastName', value: 'Lovelace' }], limit: 1, offset: 1 }), 2);
+  assert.strictEqual(await fns.countUsers({ filters: [{ prop: 'lastName', value: 'Nobody' }] }), 0);
+  await db.close();
+});
+
+test('counts by the props of an index, and of its prefixes', async () => {
+  const { db, fns, teamId } = await setup();
+  assert.strictEqual(await fns.countUsersByLastName('Lovelace'), 2);
+  assert.strictEqual(await fns.countUsersByLastNameFirstName('Lovelace', 'Ada'), 1);
+  assert.strictEqual(await fns.countUsersByLastName('Lovelace', { filters: [{ prop: 'firstName', op: '!=', value: 'Ada' }] }), 1);
+  assert.strictEqual(await fns.countUsersByTeam(teamId), 2);
+  await assert.rejects(fns.countUsersByLastNameFirstName('Lovelace'), /missing_arguments/);
+  await db.close();
+});
+
+test('checks if rows exist by ID and by unique props', async () => {
+  const { db, fns, teamId, ids } = await setup();
+  assert.strictEqual(await fns.userExistsById(ids[0]), true);
+  assert.strictEqual(await fns.userExistsById(ids[2] + 1), false);
+  assert.strictEqual(await fns.userExistsByEmail('cy@x.co'), true);
+  assert.strictEqual(await fns.userExistsByEmail('nobody@x.co'), false);
+  assert.strictEqual(await fns.userExistsByTeamFirstName(teamId, 'Byron'), true);
+  assert.strictEqual(await fns.userExistsByTeamFirstName(teamId, 'Cy'), false);
+  await fns.deleteUserById(ids[0]);
+  assert.strictEqual(await fns.userExistsById(ids[0]), false);
+  assert.strictEqual(await fns.countUsers(), 2);
+  await db.close();
+});
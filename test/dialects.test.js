@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+
+// A fake DB that keeps the queries, and answers them with `getRows(sql, params)`.
+function fakeDb(getRows = () => []) {
+  const queries = [];
+  const conn = {
+    query: async (sql, params) => {
+      queries.push([sql.replace(/\s+/g, ' ').trim(), params]);
+      return getRows(sql, params);
+    },
+    release() {},
+    commit: async () => {},
+    rollback: async () => {},
+  };
+  return { queries, getConnection: async () => conn, transaction: async () => conn };
+}
+
+const getTask = values => ({
+  name: 'Task',
+  fields: {
+    id: { type: 'id' },
+    status: { type: 'enum', values },
+  },
+});
+
+test('MySQL enums are ENUM columns, modified when their values change', async () => {
+  const getPlan = async (oldValues) => {
+    const { models: initModels } = await models.init({ models: [getTask(oldValues)], db: fakeDb() });
+    const oldSchemaObj = { schema: initModels.Task.schema, indices: initModels.Task.indices };
+    const db = fakeDb((sql, params) => {
+      if (sql.includes('information_schema.tables')) return [{ found: 1 }];
+      if (sql.includes('SELECT hash') && params[0] === 'tasks') return [{ hash: 'old', schema_obj: JSON.stringify(oldSchemaObj) }];
+      return [];
+    });
+    const { fns } = await models.init({ models: [getTask(['todo', 'done'])], db });
+    return (await fns.planAllTables()).map(({ sql, kind }) => [sql, kind]);
+  };
+  const { models: initModels } = await models.init({ models: [getTask(['todo', 'done'])], db: fakeDb() });
+  assert.match(initModels.Task.schema.status, /^ENUM\('todo','done'\)/);
+  assert.deepStrictEqual(await getPlan(['todo']), [[`ALTER TABLE tasks MODIFY COLUMN status ${initModels.Task.schema.status}`, 'safe']]);
+  assert.deepStrictEqual(await getPlan(['todo', 'done', 'dropped']), [[`ALTER TABLE tasks MODIFY COLUMN status ${initModels.Task.schema.status}`, 'lossy']]);
+  assert.deepStrictEqual(await getPlan(['todo', 'done']), []);
+});
+
+test('rejects enums without values', async () => {
+  await assert.rejects(models.init({ models: [getTask([])], db: fakeDb() }), /missing_enum_values/);
+});
+
+test('Postgres sorts NULLs like the other dialects in keyset pages', async () => {
+  const db = fakeDb();
+  const User = { name: 'User', fields: { id: { type: 'id' }, name: { type: 'text' } } };
+  const { fns } = await models.init({ models: [User], db, dialect: 'postgres' });
+  await fns.getUsers({ sort: ['name DESC'], first: 2, after: Buffer.from(JSON.stringify(['b', 1])).toString('base64') });
+  const [[sql, params]] = db.queries;
+  assert.match(sql, /WHERE \(\(\(name < \$1 OR name IS NULL\)\) OR \(name = \$2 AND id > \$3\)\)/);
+  assert.match(sql, /ORDER BY name DESC NULLS LAST,id ASC LIMIT 3$/);
+  assert.deepStrictEqual(params, ['b', 'b', 1]);
+});
+
+test('passes filter values as parameters', async () => {
+  const db = fakeDb();
+  const User = { name: 'User', fields: { id: { type: 'id' }, name: { type: 'text' }, age: { type: 'number' } } };
+  const { fns } = await models.init({ models: [User], db });
+  await fns.getUsers({
+    filters: [
+      { prop: 'name', op: 'in', value: ['\' OR 1=1 --', 'Ada'] },
+      { or: [{ prop: 'age', op: '<', value: 18 }, { prop: 'name', op: 'startsWith', value: 'x\'y' }] },
+    ],
+  });
+  const [[sql, params]] = db.queries;
+  assert.strictEqual(sql, 'SELECT * FROM users WHERE (name IN (?,?)) AND ((age < ?) OR (name LIKE ? ESCAPE \'!\'))');
+  assert.deepStrictEqual(params, ['\' OR 1=1 --', 'Ada', 18, 'x\'y%']);
+});
+
+test('Postgres numbers the placeholders, returns the IDs of inserts and upserts with ON CONFLICT', async () => {
+  const db = fakeDb(sql => (/^\s*INSERT INTO users/.test(sql) ? { rows: [{ id: 5 }], rowCount: 1 } : { rows: [] }));
+  const User = {
+    name: 'User',
+    fields: { id: { type: 'id' }, name: { type: 'text', length: 'short' }, email: { type: 'email' } },
+    indices: [{ type: 'unique', fields: ['email'] }],
+  };
+  const { fns, models: initModels } = await models.init({ models: [User], db, dialect: 'postgres' });
+  assert.strictEqual(initModels.User.schema.id, 'BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY');
+  await fns.ensureAllTables();
+  assert.ok(db.queries.some(([sql]) => sql === 'CREATE TABLE IF NOT EXISTS users ( id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,name VARCHAR(63),email VARCHAR(320) )'));
+  db.queries.length = 0;
+  assert.strictEqual(await fns.createUser({ name: 'Leander', email: 'me@leander.ca' }), 5);
+  await fns.upsertUserByEmail('me@leander.ca', { name: 'Lee' });
+  assert.deepStrictEqual(db.queries, [
+    ['INSERT INTO users (name,email) VALUES ($1,$2) RETURNING id', ['Leander', 'me@leander.ca']],
+    ['SELECT 1 AS found FROM users WHERE email = $1 LIMIT 1', ['me@leander.ca']],
+    ['INSERT INTO users (name,email) VALUES ($1,$2) ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name', ['Lee', 'me@leander.ca']],
+    ['SELECT id FROM users WHERE email = $1 LIMIT 1', ['me@leander.ca']],
+  ]);
+  const postgres = new models.Dialects.postgres();
+  assert.strictEqual(postgres.formatQuery('SELECT ? WHERE a = \'?\' AND b = ?'), 'SELECT $1 WHERE a = \'?\' AND b = $2');
+});
+
+test('Postgres changes column types with ALTER COLUMN TYPE', async () => {
+  const getUser = length => ({ name: 'User', fields: { id: { type: 'id' }, name: { type: 'text', length } } });
+  const { models: oldModels } = await models.init({ models: [getUser('long')], db: fakeDb(), dialect: 'postgres' });
+  const oldSchemaObj = { schema: oldModels.User.schema, indices: oldModels.User.indices };
+  const db = fakeDb((sql, params) => {
+    if (sql.includes('information_schema.tables')) return [{ found: 1 }];
+    if (sql.includes('SELECT hash') && params[0] === 'users') return [{ hash: 'old', schema_obj: JSON.stringify(oldSchemaObj) }];
+    return [];
+  });
+  const { fns } = await models.init({ models: [getUser('short')], db, dialect: 'postgres' });
+  assert.deepStrictEqual((await fns.planAllTables()).map(({ sql, kind }) => [sql, kind]), [
+    ['ALTER TABLE users ALTER COLUMN name TYPE VARCHAR(63)', 'lossy'],
+  ]);
+  assert.strictEqual(
+    new models.Dialects.postgres().getModifyColumnSql('tasks', 'status', 'TEXT CHECK (status IN (\'a\',\'b\'))', 'TEXT CHECK (status IN (\'a\'))'),
+    'ALTER TABLE tasks ALTER COLUMN status TYPE TEXT, DROP CONSTRAINT IF EXISTS tasks_status_check, ADD CONSTRAINT tasks_status_check CHECK (status IN (\'a\',\'b\'))'
+  );
+});
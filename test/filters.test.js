@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    age: { type: 'number' },
+  },
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  await fns.createUsers([
+    { name: 'Ada', age: 12 },
+    { name: 'Bob', age: 40 },
+    { name: 'Cy_', age: 70 },
+    { name: 'x\' OR \'1\'=\'1', age: null },
+  ]);
+  const getNames = async filters => (await fns.getUsers({ filters, sort: ['id'] })).map(({ name }) => name);
+  return { db, fns, getNames };
+}
+
+test('filters with each op', async () => {
+  const { db, getNames } = await setup();
+  assert.deepStrictEqual(await getNames([{ prop: 'age', op: '>=', value: 40 }]), ['Bob', 'Cy_']);
+  assert.deepStrictEqual(await getNames([{ prop: 'age', op: '<>', value: 40 }]), ['Ada', 'Cy_']);
+  assert.deepStrictEqual(await getNames([{ prop: 'age', op: 'in', value: [12, 70] }]), ['Ada', 'Cy_']);
+  assert.deepStrictEqual(await getNames([{ prop: 'age', op: 'in', value: [] }]), []);
+  assert.deepStrictEqual(await getNames([{ prop: 'age', op: 'between', value: [10, 50] }]), ['Ada', 'Bob']);
+  assert.deepStrictEqual(await getNames([{ prop: 'name', op: 'startsWith', value: 'Cy_' }]), ['Cy_']);
+  assert.deepStrictEqual(await getNames([{ prop: 'name', op: 'startsWith', value: 'C%' }]), []);
+  assert.deepStrictEqual(await getNames([{ prop: 'age', op: 'isNull' }]), ['x\' OR \'1\'=\'1']);
+  assert.deepStrictEqual(await getNames([{ prop: 'age', value: null }]), ['x\' OR \'1\'=\'1']);
+  await db.close();
+});
+
+test('nests and and or groups', async () => {
+  const { db, getNames } = await setup();
+  assert.deepStrictEqual(await getNames([{
+    or: [
+      { prop: 'age', op: '<', value: 18 },
+      { and: [{ prop: 'age', op: '>', value: 18 }, { prop: 'name', op: 'like', value: 'C%' }] },
+    ],
+  }]), ['Ada', 'Cy_']);
+  assert.deepStrictEqual(await getNames([{ or: [] }]), []);
+  assert.deepStrictEqual(await getNames([{ and: [] }, { prop: 'name', value: 'Bob' }]), ['Bob']);
+  await db.close();
+});
+
+test('only matches values as values', async () => {
+  const { db, getNames } = await setup();
+  assert.deepStrictEqual(await getNames([{ prop: 'name', value: 'x\' OR \'1\'=\'1' }]), ['x\' OR \'1\'=\'1']);
+  assert.deepStrictEqual(await getNames([{ prop: 'name', value: '\' OR 1=1 --' }]), []);
+  assert.deepStrictEqual(await getNames([{ prop: 'name', op: 'in', value: ['Ada) OR (1=1'] }]), []);
+  await db.close();
+});
+
+test('rejects unknown ops and props', async () => {
+  const { db, getNames } = await setup();
+  await assert.rejects(getNames([{ prop: 'age', op: '= 1 OR 1 =', value: 1 }]), /unknown_filter_op_/);
+  await assert.rejects(getNames([{ prop: 'age', op: 'regexp', value: '.' }]), /unknown_filter_op_regexp/);
+  await assert.rejects(getNames([{ prop: 'age = 1 OR 1', value: 1 }]), /unknown_field_/);
+  await assert.rejects(getNames([{ op: '=', value: 1 }]), /invalid_filter/);
+  await assert.rejects(getNames([{ prop: 'age', op: 'in', value: 12 }]), /invalid_filter_value_in/);
+  await db.close();
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { graphql } = require('graphql');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const models = require('..');
+const sqlite = require('../sqlite');
+const { getGraphqlSchema } = require('../graphql');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    email: { type: 'email', required: true },
+  },
+  indices: [{ type: 'unique', fields: ['email'] }],
+  hasMany: { posts: 'post' },
+  audit: true,
+};
+const Post = {
+  name: 'Post',
+  fields: {
+    id: { type: 'id' },
+    title: { type: 'text' },
+    author: { type: 'ref', ref: 'User' },
+  },
+};
+
+async function setup(t) {
+  const db = sqlite.connect();
+  t.after(() => db.close());
+  const api = await models.init({ models: [User, Post], db, dialect: 'sqlite' });
+  await api.fns.ensureAllTables();
+  const { typeDefs, resolvers } = getGraphqlSchema(api, { getContext: context => ({ actor: context.user }) });
+  const schema = makeExecutableSchema({ typeDefs, resolvers });
+  // The results have null prototypes, so they are compared as JSON.
+  const run = async (source, contextValue = {}) => JSON.parse(JSON.stringify(await graphql({ schema, source, contextValue })));
+  return { api, run };
+}
+
+test('runs queries and mutations with the model functions', async (t) => {
+  const { api, run } = await setup(t);
+  const created = await run('mutation { createUser(input: { name: "Leander", email: "me@leander.ca" }) { id name } }', { user: 'me' });
+  assert.deepStrictEqual(created, { data: { createUser: { id: '1', name: 'Leander' } } });
+  await api.fns.createPosts([{ title: 'A', author: 1 }, { title: 'B', author: 1 }]);
+  const result = await run(`{
+    getUserByEmail(email: "me@leander.ca") { name posts { title author { email } } }
+    getPosts(sort: ["-title"], limit: 1) { title }
+  }`);
+  assert.deepStrictEqual(result, {
+    data: {
+      getUserByEmail: {
+        name: 'Leander',
+        posts: [{ title: 'A', author: { email: 'me@leander.ca' } }, { title: 'B', author: { email: 'me@leander.ca' } }],
+      },
+      getPosts: [{ title: 'B' }],
+    },
+  });
+  assert.deepStrictEqual(await run('mutation { deleteUserById(id: 2) }'), { data: { deleteUserById: false } });
+  const [entry] = await api.fns.getUserHistoryById(1);
+  assert.strictEqual(entry.actor, 'me');
+});
+
+test('only sorts by fields', async (t) => {
+  const { run } = await setup(t);
+  const { errors: [error] } = await run('{ getUsers(sort: ["name DESC, (SELECT 1)"]) { id } }');
+  assert.strictEqual(error.message, 'invalid_sort_name DESC, (SELECT 1)');
+});
+
+test('leaves the props that are set automatically out of the inputs', async (t) => {
+  const db = sqlite.connect();
+  t.after(() => db.close());
+  const Tag = {
+    name: 'Tag',
+    fields: { id: { type: 'id' }, name: { type: 'text' } },
+    timestamps: true,
+    versioned: true,
+    softDelete: true,
+  };
+  const api = await models.init({ models: [Tag], db, dialect: 'sqlite' });
+  await api.fns.ensureAllTables();
+  const { typeDefs, resolvers } = getGraphqlSchema(api);
+  assert.match(typeDefs, /input TagInput \{\n {2}id: ID\n {2}name: String\n\}/);
+  assert.match(typeDefs, /input TagUpdateInput \{\n {2}id: ID\n {2}name: String\n {2}version: Int!\n\}/);
+  const schema = makeExecutableSchema({ typeDefs, resolvers });
+  const run = async source => JSON.parse(JSON.stringify(await graphql({ schema, source })));
+  const { data } = await run('mutation { createTag(input: { name: "a" }) { id version } }');
+  assert.deepStrictEqual(data.createTag.version, 1);
+  const updated = await run(`mutation { updateTagById(id: ${data.createTag.id}, input: { name: "b", version: 1 }) { name version } }`);
+  assert.deepStrictEqual(updated.data, { updateTagById: { name: 'b', version: 2 } });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+async function setup(calls) {
+  const db = sqlite.connect();
+  const hooks = {};
+  ['beforeCreate', 'afterCreate', 'beforeUpdate', 'afterUpdate'].forEach((hookName) => {
+    hooks[hookName] = async (conn, ...args) => {
+      calls.push([hookName, ...args]);
+    };
+  });
+  const User = {
+    name: 'User',
+    fields: {
+      id: { type: 'id' },
+      name: { type: 'text' },
+      email: { type: 'email' },
+    },
+    indices: [{ type: 'unique', fields: ['email'] }],
+    softDelete: true,
+    hooks,
+  };
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  return { db, fns };
+}
+
+test('upserts call the create hooks for new rows, and the update hooks for existing ones', async () => {
+  const calls = [];
+  const { db, fns } = await setup(calls);
+  const id = await fns.upsertUserByEmail('me@leander.ca', { name: 'Leander' });
+  await fns.upsertUserByEmail('me@leander.ca', { name: 'Lee' });
+  assert.deepStrictEqual(calls, [
+    ['beforeCreate', { name: 'Leander', email: 'me@leander.ca' }],
+    ['afterCreate', { name: 'Leander', email: 'me@leander.ca' }, id],
+    ['beforeUpdate', { name: 'Lee' }, { email: 'me@leander.ca' }],
+    ['afterUpdate', { name: 'Lee' }, { email: 'me@leander.ca' }, 1],
+  ]);
+  await db.close();
+});
+
+test('restores call the update hooks', async () => {
+  const calls = [];
+  const { db, fns } = await setup(calls);
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  await fns.deleteUserById(id);
+  calls.length = 0;
+  await fns.restoreUserById(id);
+  assert.deepStrictEqual(calls, [
+    ['beforeUpdate', { deletedAt: null }, { id }],
+    ['afterUpdate', { deletedAt: null }, { id }, 1],
+  ]);
+  assert.strictEqual((await fns.getUserById(id)).name, 'Leander');
+  await db.close();
+});
+
+test('rejects unknown hooks', async () => {
+  const User = { name: 'User', fields: { id: { type: 'id' } }, hooks: { beforeSave: () => {} } };
+  const db = sqlite.connect();
+  await assert.rejects(models.init({ models: [User], db, dialect: 'sqlite' }), /unknown_hook_beforeSave/);
+  await db.close();
+});
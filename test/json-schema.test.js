@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Field, toJsonSchema } = require('..');
+
+class SlugField extends Field {
+  getColumnType() {
+    return 'VARCHAR(63)';
+  }
+  getJsonSchema() {
+    return { type: 'string', pattern: '^[a-z-]+$' };
+  }
+}
+
+test('only limits the decimal places of floats with a precision', () => {
+  const { properties } = toJsonSchema({
+    name: 'Item',
+    fields: {
+      price: { type: 'number', float: true, precision: 2 },
+      weight: { type: 'number', float: true },
+      count: { type: 'number' },
+    },
+  });
+  assert.deepStrictEqual(properties.price, { type: ['number', 'null'], multipleOf: 0.01 });
+  assert.deepStrictEqual(properties.weight, { type: ['number', 'null'] });
+  assert.deepStrictEqual(properties.count, { type: ['integer', 'null'] });
+});
+
+test('uses the JSON Schema of custom fields', () => {
+  const { properties, required } = toJsonSchema({
+    name: 'Item',
+    fields: {
+      slug: new SlugField({ required: true, description: 'The URL name.' }),
+    },
+  });
+  assert.deepStrictEqual(properties.slug, { type: 'string', pattern: '^[a-z-]+$', description: 'The URL name.' });
+  assert.deepStrictEqual(required, ['slug']);
+});
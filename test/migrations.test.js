@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+};
+
+async function getTableNames(db) {
+  const conn = await db.getConnection();
+  const rows = await conn.query('SELECT name FROM sqlite_master WHERE type = \'table\' ORDER BY name');
+  conn.release();
+  return rows.map(({ name }) => name);
+}
+
+test('lists pending migrations without creating any table', async () => {
+  const db = sqlite.connect();
+  const migrations = [{ id: 'first', up: async () => {} }];
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite', migrations });
+  assert.deepStrictEqual(await fns.pendingMigrations(), [{ id: 'first', phase: 'after', description: '' }]);
+  assert.deepStrictEqual(await getTableNames(db), []);
+  await db.close();
+});
+
+test('skips "before" migrations on a new DB, and runs them once it has tables', async () => {
+  const db = sqlite.connect();
+  const ran = [];
+  const migrations = [
+    { id: 'fill-names', phase: 'before', up: async () => ran.push('fill-names') },
+    {
+      id: 'add-admin',
+      up: async (conn, fns) => {
+        ran.push('add-admin');
+        assert.strictEqual(fns.createUser, undefined);
+        await fns.createUserWithConn(conn, { name: 'Admin' });
+      },
+    },
+  ];
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite', migrations });
+  await fns.ensureAllTables();
+  assert.deepStrictEqual(ran, ['add-admin']);
+  assert.deepStrictEqual(await fns.getUsers({ fields: ['name'] }), [{ name: 'Admin' }]);
+  assert.deepStrictEqual(await fns.pendingMigrations(), []);
+
+  const User2 = { ...User, fields: { ...User.fields, email: { type: 'email' } } };
+  migrations.push({ id: 'fill-emails', phase: 'before', up: async () => ran.push('fill-emails') });
+  const { fns: fns2 } = await models.init({ models: [User2], db, dialect: 'sqlite', migrations });
+  await fns2.ensureAllTables();
+  assert.deepStrictEqual(ran, ['add-admin', 'fill-emails']);
+  await db.close();
+});
+
+test('runs "before" migrations with the old columns, and "after" migrations with the renamed ones', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  await fns.createUser({ name: 'leander' });
+  const RenamedUser = { ...User, fields: { id: User.fields.id, fullName: { type: 'text', renamedFrom: 'name' } } };
+  const migrations = [
+    {
+      id: 'trim-names',
+      phase: 'before',
+      up: async (conn) => {
+        await conn.query('UPDATE users SET name = TRIM(name)');
+      },
+    },
+    {
+      id: 'capitalize-names',
+      up: async (conn, renamedFns) => {
+        const users = await renamedFns.getUsersWithConn(conn);
+        for (let i = 0; i < users.length; i++) {
+          const { id, fullName } = users[i];
+          await renamedFns.updateUserByIdWithConn(conn, id, { fullName: fullName.toUpperCase() });
+        }
+      },
+    },
+  ];
+  const { fns: renamedFns } = await models.init({ models: [RenamedUser], db, dialect: 'sqlite', migrations });
+  await renamedFns.ensureAllTables();
+  assert.deepStrictEqual(await renamedFns.getUsers({ fields: ['fullName'] }), [{ fullName: 'LEANDER' }]);
+  assert.deepStrictEqual(await renamedFns.pendingMigrations(), []);
+  await db.close();
+});
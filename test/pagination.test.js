@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const ids = await fns.createUsers(['b', null, 'a', 'b', null].map(name => ({ name })));
+  return { db, fns, ids };
+}
+
+// Fetches all the pages, and returns the IDs of each page.
+async function getPages(fns, viewOptions) {
+  const pages = [];
+  let after;
+  for (;;) {
+    const { items, pageInfo } = await fns.getUsers({ ...viewOptions, after });
+    pages.push(items.map(({ id }) => id));
+    if (!pageInfo.hasNextPage) return pages;
+    after = pageInfo.endCursor;
+  }
+}
+
+test('pages through rows, with the ID breaking ties', async () => {
+  const { db, fns, ids } = await setup();
+  const [b1, null1, a, b2, null2] = ids;
+  assert.deepStrictEqual(await getPages(fns, { first: 2 }), [[b1, null1], [a, b2], [null2]]);
+  assert.deepStrictEqual(await getPages(fns, { sort: ['name'], first: 2 }), [[null1, null2], [a, b1], [b2]]);
+  assert.deepStrictEqual(await getPages(fns, { sort: ['name DESC'], first: 2 }), [[b1, b2], [a, null1], [null2]]);
+  assert.deepStrictEqual(await getPages(fns, { sort: ['name DESC', 'id DESC'], first: 3 }), [[b2, b1, a], [null2, null1]]);
+  await db.close();
+});
+
+test('only has a next page if there are more rows', async () => {
+  const { db, fns, ids } = await setup();
+  const { items, pageInfo } = await fns.getUsers({ sort: ['name'], first: 5 });
+  assert.strictEqual(items.length, 5);
+  assert.strictEqual(pageInfo.hasNextPage, false);
+  const lastPage = await fns.getUsers({ sort: ['name'], first: 5, after: pageInfo.endCursor });
+  assert.deepStrictEqual(lastPage, { items: [], pageInfo: { endCursor: null, hasNextPage: false } });
+  assert.strictEqual((await fns.getUsers({ first: 4 })).pageInfo.hasNextPage, true);
+  assert.deepStrictEqual((await fns.getUsers({ after: (await fns.getUsers({ first: 4 })).pageInfo.endCursor })).items.map(({ id }) => id), [ids[4]]);
+  await assert.rejects(fns.getUsers({ first: 2, after: 'nope' }), /invalid_cursor/);
+  await db.close();
+});
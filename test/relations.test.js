@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+  hasMany: {
+    posts: { model: 'Post', sort: ['title DESC'] },
+  },
+};
+const Post = {
+  name: 'Post',
+  fields: {
+    id: { type: 'id' },
+    title: { type: 'text' },
+    author: { type: 'ref', ref: 'User' },
+  },
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User, Post], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const userId = await fns.createUser({ name: 'Leander' });
+  const otherUserId = await fns.createUser({ name: 'Lee' });
+  const postIds = await fns.createPosts([
+    { title: 'A', author: userId },
+    { title: 'B', author: userId },
+    { title: 'C', author: null },
+  ]);
+  return { db, fns, userId, otherUserId, postIds };
+}
+
+test('gets the referenced row and the related rows', async () => {
+  const { db, fns, userId, otherUserId, postIds } = await setup();
+  assert.deepStrictEqual(await fns.getAuthorForPost(postIds[0]), { id: userId, name: 'Leander' });
+  assert.strictEqual(await fns.getAuthorForPost(postIds[2]), null);
+  assert.deepStrictEqual((await fns.getPostsForUser(userId)).map(({ title }) => title), ['B', 'A']);
+  assert.deepStrictEqual(await fns.getPostsForUser(userId, { sort: ['title'], fields: ['title'] }), [{ title: 'A' }, { title: 'B' }]);
+  assert.deepStrictEqual(await fns.getPostsForUser(otherUserId), []);
+  await db.close();
+});
+
+test('includes relations', async () => {
+  const { db, fns, userId, otherUserId, postIds } = await setup();
+  const posts = await fns.getPosts({ include: ['author'], sort: ['title'] });
+  assert.deepStrictEqual(posts.map(({ author }) => author), [{ id: userId, name: 'Leander' }, { id: userId, name: 'Leander' }, null]);
+  const users = await fns.getUsers({ include: ['posts'], sort: ['name'] });
+  assert.deepStrictEqual(users.map(({ posts: userPosts }) => userPosts.map(({ id }) => id)), [[postIds[1], postIds[0]], []]);
+  assert.deepStrictEqual(users.map(({ id }) => id), [userId, otherUserId]);
+  await assert.rejects(fns.getUsers({ include: ['comments'] }), /unknown_relation_comments/);
+  await db.close();
+});
+
+test('only returns the asked for fields with included relations', async () => {
+  const { db, fns, userId } = await setup();
+  const users = await fns.getUsers({ include: ['posts'], fields: ['name'], sort: ['name'] });
+  assert.deepStrictEqual(users.map(user => Object.keys(user)), [['name', 'posts'], ['name', 'posts']]);
+  const [post] = await fns.getPosts({ include: ['author'], fields: ['title'], sort: ['title'] });
+  assert.deepStrictEqual(post, { title: 'A', author: { id: userId, name: 'Leander' } });
+  const [user] = await fns.getUsers({ include: ['posts'], fields: ['id', 'name'], sort: ['name'] });
+  assert.deepStrictEqual(Object.keys(user), ['id', 'name', 'posts']);
+  await db.close();
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const models = require('..');
+const sqlite = require('../sqlite');
+const { createHandler, createExpressHandler } = require('../rest');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    email: { type: 'email', required: true },
+  },
+  indices: [{ type: 'unique', fields: ['email'] }],
+  hasMany: { posts: 'post' },
+  softDelete: true,
+};
+const Post = {
+  name: 'Post',
+  fields: {
+    id: { type: 'id' },
+    title: { type: 'text' },
+    author: { type: 'ref', ref: 'User' },
+  },
+};
+
+// Serves the handler on a random port, and returns a function to make requests to it.
+async function serve(handler, t) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const { port } = server.address();
+  return async (method, path, body) => {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: (body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      body: (body === undefined ? undefined : JSON.stringify(body)),
+    });
+    const text = await res.text();
+    return [res.status, (text ? JSON.parse(text) : undefined)];
+  };
+}
+
+async function setup(t) {
+  const db = sqlite.connect();
+  t.after(() => db.close());
+  const api = await models.init({ models: [User, Post], db, dialect: 'sqlite' });
+  await api.fns.ensureAllTables();
+  return api;
+}
+
+test('routes requests to the model functions', async (t) => {
+  const api = await setup(t);
+  const request = await serve(createHandler(api, { basePath: '/api' }), t);
+  const [createStatus, user] = await request('POST', '/api/users', { name: 'Leander', email: 'me@leander.ca' });
+  assert.strictEqual(createStatus, 201);
+  assert.deepStrictEqual(user, { id: 1, name: 'Leander', email: 'me@leander.ca', deletedAt: null });
+  await api.fns.createPost({ title: 'Hello', author: user.id });
+  assert.deepStrictEqual(await request('GET', '/api/users/1?fields=name'), [200, { name: 'Leander' }]);
+  assert.deepStrictEqual(await request('GET', '/api/users/by-email/me%40leander.ca?fields=id'), [200, { id: 1 }]);
+  assert.deepStrictEqual(await request('PATCH', '/api/users/1', { name: 'Lee' }), [200, { ...user, name: 'Lee' }]);
+  const [, posts] = await request('GET', '/api/posts?include=author&sort=-title&fields=title,author');
+  assert.deepStrictEqual(posts, [{ title: 'Hello', author: { ...user, name: 'Lee' } }]);
+  assert.deepStrictEqual(await request('DELETE', '/api/users/1'), [204, undefined]);
+  assert.deepStrictEqual(await request('GET', '/api/users/1'), [404, { error: 'not_found' }]);
+  assert.deepStrictEqual(await request('GET', '/other'), [404, { error: 'not_found' }]);
+});
+
+test('maps errors to status codes', async (t) => {
+  const api = await setup(t);
+  const errors = [];
+  const request = await serve(createHandler(api, { onError: e => errors.push(e) }), t);
+  const [status, body] = await request('POST', '/users', { name: 'Nobody' });
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.errors[0].code, 'required_field_missing');
+  assert.deepStrictEqual(await request('GET', '/users?bogus=1'), [400, { error: 'unknown_field_bogus' }]);
+  assert.deepStrictEqual(await request('GET', '/users?limit=-1'), [400, { error: 'invalid_limit' }]);
+  assert.deepStrictEqual(await request('GET', '/users/%E0%A4%A'), [400, { error: 'invalid_path' }]);
+  assert.deepStrictEqual(errors, []);
+  api.fns.getUsers = async () => {
+    throw new Error('db_down');
+  };
+  assert.deepStrictEqual(await request('GET', '/users'), [500, { error: 'internal_error' }]);
+  assert.deepStrictEqual(errors.map(e => e.message), ['db_down']);
+});
+
+test('only sorts by fields, includes readable models and gets deleted rows when allowed', async (t) => {
+  const api = await setup(t);
+  const request = await serve(createHandler(api, { expose: { Post: ['list'], User: ['create'] } }), t);
+  assert.deepStrictEqual(await request('GET', '/posts?sort=title;DROP TABLE posts'), [400, { error: 'invalid_sort_title;DROP TABLE posts' }]);
+  assert.deepStrictEqual(await request('GET', '/posts?sort=title%20DESC'), [400, { error: 'invalid_sort_title DESC' }]);
+  assert.deepStrictEqual(await request('GET', '/posts?include=author'), [400, { error: 'unknown_relation_author' }]);
+  assert.deepStrictEqual(await request('GET', '/posts?include=title'), [400, { error: 'unknown_relation_title' }]);
+  assert.deepStrictEqual(await request('GET', '/posts?withDeleted=true'), [400, { error: 'invalid_withDeleted' }]);
+  assert.deepStrictEqual(await request('GET', '/users'), [404, { error: 'not_found' }]);
+  assert.throws(() => createHandler(api, { expose: { Comment: true } }), /unknown_model_Comment/);
+  const userRequest = await serve(createHandler(api, { allowDeleted: ['user'] }), t);
+  const [, { id }] = await userRequest('POST', '/users', { email: 'me@leander.ca' });
+  await userRequest('DELETE', `/users/${id}`);
+  assert.deepStrictEqual(await userRequest('GET', '/users?onlyDeleted=1&fields=id'), [200, [{ id }]]);
+});
+
+test('passes unknown paths and unexpected errors to the next Express handler', async (t) => {
+  const api = await setup(t);
+  const middleware = createExpressHandler(api, { basePath: '/api' });
+  const nextCalls = [];
+  const request = await serve((req, res) => {
+    // Like express.json(), which has already read the body.
+    if (req.headers['content-type']) req.body = { name: 'Leander', email: 'me@leander.ca' };
+    middleware(req, res, (e) => {
+      nextCalls.push(e && e.message);
+      res.statusCode = 418;
+      res.end();
+    });
+  }, t);
+  const [status, user] = await request('POST', '/api/users', {});
+  assert.strictEqual(status, 201);
+  assert.strictEqual(user.name, 'Leander');
+  assert.deepStrictEqual(await request('GET', '/api/comments'), [418, undefined]);
+  api.fns.getUsers = async () => {
+    throw new Error('db_down');
+  };
+  assert.deepStrictEqual(await request('GET', '/api/users'), [418, undefined]);
+  assert.deepStrictEqual(nextCalls, [undefined, 'db_down']);
+});
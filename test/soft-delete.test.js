@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    email: { type: 'email' },
+  },
+  indices: [{ type: 'unique', fields: ['email'] }],
+  softDelete: true,
+  timestamps: true,
+  versioned: true,
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  return { db, fns };
+}
+
+test('hides deleted rows from the getters and unique lookups', async () => {
+  const { db, fns } = await setup();
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  const otherId = await fns.createUser({ name: 'Lee', email: 'lee@leander.ca' });
+  await fns.deleteUserById(id);
+  assert.strictEqual(await fns.getUserById(id), null);
+  assert.strictEqual(await fns.getUserByEmail('me@leander.ca'), null);
+  assert.strictEqual(await fns.userExistsById(id), false);
+  assert.strictEqual(await fns.countUsers(), 1);
+  assert.deepStrictEqual((await fns.getUsers()).map(user => user.id), [otherId]);
+  assert.deepStrictEqual((await fns.getUsers({ onlyDeleted: true })).map(user => user.id), [id]);
+  assert.deepStrictEqual((await fns.getUsers({ withDeleted: true, sort: ['id'] })).map(user => user.id), [id, otherId]);
+  await db.close();
+});
+
+test('allows unique values of deleted rows to be used again', async () => {
+  const { db, fns } = await setup();
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  await assert.rejects(fns.createUser({ name: 'Lee', email: 'me@leander.ca' }), /UNIQUE/);
+  await fns.deleteUserById(id);
+  const newId = await fns.createUser({ name: 'Lee', email: 'me@leander.ca' });
+  assert.strictEqual((await fns.getUserByEmail('me@leander.ca')).id, newId);
+  await assert.rejects(fns.restoreUserById(id), /UNIQUE/);
+  await db.close();
+});
+
+test('restores set updatedAt and bump the version', async () => {
+  const { db, fns } = await setup();
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  await fns.deleteUserById(id);
+  const [deleted] = await fns.getUsers({ onlyDeleted: true });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await fns.restoreUserById(id);
+  const restored = await fns.getUserById(id);
+  assert.strictEqual(restored.deletedAt, null);
+  assert.strictEqual(restored.version, deleted.version + 1);
+  assert.ok(restored.updatedAt > deleted.updatedAt);
+  await db.close();
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    email: { type: 'email' },
+  },
+  indices: [
+    { type: 'unique', fields: ['email'] },
+    { type: 'tree', fields: ['name'] },
+  ],
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  return { db, fns };
+}
+
+test('creates, reads, updates and deletes rows', async () => {
+  const { db, fns } = await setup();
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  assert.deepStrictEqual(await fns.getUserById(id), { id, name: 'Leander', email: 'me@leander.ca' });
+  await fns.updateUserByEmail('me@leander.ca', { name: 'Lee' });
+  assert.deepStrictEqual(await fns.getUsersByName('Lee', { fields: ['id'] }), [{ id }]);
+  await fns.deleteUserById(id);
+  assert.strictEqual(await fns.getUserById(id), null);
+  await db.close();
+});
+
+test('rolls back failed transactions', async () => {
+  const { db, fns } = await setup();
+  const conn = await db.transaction();
+  await fns.createUserWithConn(conn, { name: 'Leander', email: 'me@leander.ca' });
+  await conn.rollback();
+  assert.deepStrictEqual(await fns.getUsers(), []);
+  await db.close();
+});
+
+test('connections wait for open transactions', async () => {
+  const { db, fns } = await setup();
+  const conn = await db.transaction();
+  await fns.createUserWithConn(conn, { name: 'Leander', email: 'me@leander.ca' });
+  let users = null;
+  const reading = fns.getUsers({ fields: ['name'] }).then((rows) => {
+    users = rows;
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(users, null);
+  await conn.commit();
+  await reading;
+  assert.deepStrictEqual(users, [{ name: 'Leander' }]);
+  await db.close();
+});
+
+test('enforces foreign keys and their ON DELETE actions', async () => {
+  const db = sqlite.connect();
+  const Post = {
+    name: 'Post',
+    fields: {
+      id: { type: 'id' },
+      title: { type: 'text' },
+      author: { type: 'ref', ref: 'User', onDelete: 'cascade' },
+    },
+  };
+  const { fns } = await models.init({ models: [User, Post], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const userId = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  await fns.createPost({ title: 'Hello', author: userId });
+  await assert.rejects(fns.createPost({ title: 'Nobody', author: userId + 1 }), /FOREIGN KEY/);
+  await fns.deleteUserById(userId);
+  assert.deepStrictEqual(await fns.getPosts(), []);
+  await fns.dropAllTables();
+  await db.close();
+});
+
+test('rejects unknown ON DELETE actions and foreign keys without a ref', async () => {
+  const db = sqlite.connect();
+  const getPost = author => ({ name: 'Post', fields: { id: { type: 'id' }, author: { type: 'ref', ...author } } });
+  await assert.rejects(models.init({ models: [User, getPost({ ref: 'User', onDelete: 'delete' })], db, dialect: 'sqlite' }), /unknown_on_delete_delete/);
+  await assert.rejects(models.init({ models: [User, getPost({ onDelete: 'cascade' })], db, dialect: 'sqlite' }), /missing_foreign_key_ref/);
+  await assert.rejects(models.init({ models: [User, getPost({ foreignKey: true })], db, dialect: 'sqlite' }), /missing_foreign_key_ref/);
+  await db.close();
+});
+
+test('plans tables without creating any', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  const plan = await fns.planAllTables();
+  assert.deepStrictEqual(plan.map(({ table, kind }) => [table, kind]), [['users', 'safe'], ['users', 'safe'], ['users', 'safe']]);
+  const conn = await db.getConnection();
+  assert.deepStrictEqual(await conn.query('SELECT name FROM sqlite_master'), []);
+  conn.release();
+  await fns.ensureAllTables();
+  assert.deepStrictEqual(await fns.planAllTables(), []);
+  await db.close();
+});
+
+test('only sorts in ASC or DESC order', async () => {
+  const { db, fns } = await setup();
+  await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  assert.deepStrictEqual(await fns.getUsers({ sort: ['name desc'], fields: ['name'] }), [{ name: 'Leander' }]);
+  await assert.rejects(fns.getUsers({ sort: ['name DESC,(SELECT 1)'] }), /invalid_sort_/);
+  await assert.rejects(fns.getUsers({ sort: ['name ASC, email'] }), /invalid_sort_/);
+  await db.close();
+});
+
+test('renames columns and tables, keeping their data', async () => {
+  const db = sqlite.connect();
+  const Person = { name: 'Person', fields: { id: { type: 'id' }, fullName: { type: 'text' } } };
+  const { fns } = await models.init({ models: [Person], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const id = await fns.createPerson({ fullName: 'Leander' });
+  const RenamedPerson = {
+    name: { singular: 'person', plural: 'people', tableName: 'humans', previousTableNames: ['persons'] },
+    fields: { id: { type: 'id' }, name: { type: 'text', renamedFrom: 'fullName' } },
+  };
+  const { fns: renamedFns } = await models.init({ models: [RenamedPerson], db, dialect: 'sqlite' });
+  const plan = await renamedFns.planAllTables();
+  assert.deepStrictEqual(plan.map(({ sql, kind }) => [sql, kind]), [
+    ['ALTER TABLE persons RENAME TO humans', 'safe'],
+    ['ALTER TABLE humans RENAME COLUMN full_name TO name', 'safe'],
+  ]);
+  await renamedFns.ensureAllTables();
+  assert.deepStrictEqual(await renamedFns.getPersonById(id), { id, name: 'Leander' });
+  assert.deepStrictEqual(await renamedFns.planAllTables(), []);
+  await db.close();
+});
+
+test('keeps the data of renamed columns when rebuilding a table', async () => {
+  const db = sqlite.connect();
+  const Post = { name: 'Post', fields: { id: { type: 'id' }, title: { type: 'text' }, author: { type: 'ref', ref: 'User' } } };
+  const { fns } = await models.init({ models: [User, Post], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const userId = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  const postId = await fns.createPost({ title: 'Hello', author: userId });
+  // Adding the foreign key rebuilds the table, since SQLite can't add one to an existing table.
+  const RebuiltPost = {
+    name: 'Post',
+    fields: { id: { type: 'id' }, heading: { type: 'text', renamedFrom: 'title' }, author: { type: 'ref', ref: 'User', onDelete: 'cascade' } },
+  };
+  const { fns: rebuiltFns } = await models.init({ models: [User, RebuiltPost], db, dialect: 'sqlite' });
+  const plan = await rebuiltFns.planAllTables();
+  assert.ok(plan.every(({ kind }) => kind === 'safe'));
+  assert.ok(plan.some(({ sql }) => /^INSERT INTO posts_rebuild/.test(sql)));
+  await rebuiltFns.ensureAllTables();
+  assert.deepStrictEqual(await rebuiltFns.getPostById(postId), { id: postId, heading: 'Hello', author: userId });
+  await rebuiltFns.deleteUserById(userId);
+  assert.deepStrictEqual(await rebuiltFns.getPosts(), []);
+  await db.close();
+});
+
+test('refuses changes that lose data unless they are allowed', async () => {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  const NamelessUser = { ...User, fields: { id: User.fields.id, email: User.fields.email }, indices: [User.indices[0]] };
+  const { fns: namelessFns } = await models.init({ models: [NamelessUser], db, dialect: 'sqlite' });
+  const error = await namelessFns.ensureAllTables().catch(e => e);
+  assert.strictEqual(error.message, 'destructive_schema_changes');
+  assert.deepStrictEqual(error.statements.map(({ sql, kind }) => [sql, kind]), [['DROP TABLE users', 'destructive']]);
+  assert.strictEqual((await fns.getUserById(id)).name, 'Leander');
+  await namelessFns.ensureAllTables({ allowDestructive: true });
+  assert.deepStrictEqual(await namelessFns.getUserById(id), { id, email: 'me@leander.ca' });
+  assert.deepStrictEqual(await namelessFns.planAllTables(), []);
+  await db.close();
+});
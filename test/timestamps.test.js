@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const getUser = timestamps => ({
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    email: { type: 'email' },
+  },
+  indices: [{ type: 'unique', fields: ['email'] }],
+  timestamps,
+});
+
+async function setup(timestamps = true) {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [getUser(timestamps)], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  return { db, fns };
+}
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('sets createdAt and updatedAt on create, update and upsert', async () => {
+  const { db, fns } = await setup();
+  const start = new Date();
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  const created = await fns.getUserById(id);
+  assert.ok(created.createdAt >= start);
+  assert.deepStrictEqual(created.updatedAt, created.createdAt);
+  await tick();
+  await fns.updateUserById(id, { name: 'Lee' });
+  const updated = await fns.getUserById(id);
+  assert.deepStrictEqual(updated.createdAt, created.createdAt);
+  assert.ok(updated.updatedAt > created.updatedAt);
+  await tick();
+  await fns.upsertUserByEmail('me@leander.ca', { name: 'Leo' });
+  const upserted = await fns.getUserById(id);
+  assert.deepStrictEqual(upserted.createdAt, created.createdAt);
+  assert.ok(upserted.updatedAt > updated.updatedAt);
+  const newId = await fns.upsertUserByEmail('new@leander.ca', { name: 'New' });
+  const inserted = await fns.getUserById(newId);
+  assert.ok(inserted.createdAt > created.createdAt);
+  assert.deepStrictEqual(inserted.updatedAt, inserted.createdAt);
+  await db.close();
+});
+
+test('rejects timestamps set by hand', async () => {
+  const { db, fns } = await setup();
+  const date = new Date('2020-01-01T00:00:00.000Z');
+  const getCodes = async promise => (await promise.catch(e => e)).errors.map(({ prop, code }) => `${prop}:${code}`);
+  assert.deepStrictEqual(await getCodes(fns.createUser({ name: 'Leander', createdAt: date })), ['createdAt:timestamp_not_settable']);
+  const id = await fns.createUser({ name: 'Leander' });
+  assert.deepStrictEqual(await getCodes(fns.updateUserById(id, { updatedAt: date })), ['updatedAt:timestamp_not_settable']);
+  await db.close();
+});
+
+test('keeps timestamps set by hand if that is allowed', async () => {
+  const { db, fns } = await setup({ allowManual: true });
+  const date = new Date('2020-01-01T00:00:00.000Z');
+  const id = await fns.createUser({ name: 'Leander', createdAt: date });
+  const created = await fns.getUserById(id);
+  assert.deepStrictEqual(created.createdAt, date);
+  assert.ok(created.updatedAt > date);
+  await fns.updateUserById(id, { updatedAt: date });
+  assert.deepStrictEqual((await fns.getUserById(id)).updatedAt, date);
+  await db.close();
+});
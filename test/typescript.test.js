@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTypeDeclarations } = require('../typescript');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+  },
+  hasMany: { posts: 'post' },
+};
+const Post = {
+  name: 'Post',
+  fields: {
+    id: { type: 'id' },
+    author: { type: 'ref', ref: 'User' },
+  },
+};
+
+test('declares the relation getters of hasMany relations given as a model', async () => {
+  const declarations = await getTypeDeclarations({ models: [User, Post] });
+  assert.ok(declarations.includes(
+    '  getPostsForUser<F extends keyof Post = keyof Post>(id: User[\'id\'], viewOptions?: ViewOptions<Post, F>): Promise<Pick<Post, F>[]>;'
+  ));
+  assert.ok(!declarations.includes('undefined'));
+});
+
+test('leaves the props that are set automatically out of the input types', async () => {
+  const Tag = {
+    name: 'Tag',
+    fields: { id: { type: 'id' }, name: { type: 'text' } },
+    timestamps: true,
+    versioned: true,
+    softDelete: true,
+  };
+  const declarations = await getTypeDeclarations({ models: [Tag] });
+  const input = declarations.match(/export interface TagInput \{[^}]*\}/)[0];
+  assert.deepStrictEqual(input.match(/^ {2}\w+/mg).map(prop => prop.trim()), ['id', 'name']);
+  assert.ok(declarations.includes('  updateTagById(id: Tag[\'id\'], updateObj: Partial<TagInput> & { version: number }'));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const { ValidationError } = models;
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    email: { type: 'email', required: true },
+    address: {
+      type: 'object',
+      fields: {
+        street: { type: 'text' },
+        city: { type: 'text', required: true },
+      },
+    },
+  },
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  return { db, fns };
+}
+
+async function getErrorCodes(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    assert.ok(e instanceof ValidationError);
+    return e.errors.map(({ prop, code }) => `${prop}:${code}`);
+  }
+  return [];
+}
+
+test('collects all validation errors', async () => {
+  const { db, fns } = await setup();
+  const codes = await getErrorCodes(fns.createUser({ email: 'nope', address: { street: 'Main' } }));
+  assert.deepStrictEqual(codes.sort(), ['address.city:required_field_missing', 'email:invalid_email']);
+  await db.close();
+});
+
+test('checks required sub-fields of a missing object', async () => {
+  const { db, fns } = await setup();
+  assert.deepStrictEqual(await getErrorCodes(fns.createUser({ email: 'me@leander.ca' })), ['address.city:required_field_missing']);
+  const id = await fns.createUser({ email: 'me@leander.ca', address: { city: 'Toronto' } });
+  assert.deepStrictEqual(await getErrorCodes(fns.updateUserById(id, { address: null })), ['address.city:required_field_missing']);
+  assert.deepStrictEqual(await getErrorCodes(fns.updateUserById(id, { address: { street: 'Main' } })), []);
+  assert.deepStrictEqual((await fns.getUserById(id)).address, { street: 'Main', city: 'Toronto' });
+  await db.close();
+});
+
+test('only allows the values of enums', async () => {
+  const db = sqlite.connect();
+  const Task = { name: 'Task', fields: { id: { type: 'id' }, status: { type: 'enum', values: ['todo', 'done'] } } };
+  const { fns } = await models.init({ models: [Task], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const id = await fns.createTask({ status: 'todo' });
+  assert.deepStrictEqual(await getErrorCodes(fns.createTask({ status: 'doing' })), ['status:invalid_enum_value']);
+  assert.deepStrictEqual(await getErrorCodes(fns.updateTaskById(id, { status: 'doing' })), ['status:invalid_enum_value']);
+  await fns.updateTaskById(id, { status: 'done' });
+  assert.strictEqual((await fns.getTaskById(id)).status, 'done');
+  await db.close();
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    email: { type: 'email' },
+  },
+  indices: [
+    { type: 'unique', fields: ['email'] },
+    { type: 'tree', fields: ['name'] },
+  ],
+  versioned: true,
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  return { db, fns };
+}
+
+test('only throws a StaleObjectError for rows at another version', async () => {
+  const { db, fns } = await setup();
+  const id = await fns.createUser({ name: 'Leander', email: 'me@leander.ca' });
+  await fns.updateUserById(id, { name: 'Lee', version: 1 });
+  await assert.rejects(fns.updateUserById(id, { name: 'Leo', version: 1 }), models.StaleObjectError);
+  await fns.updateUserById(id + 1, { name: 'Nobody', version: 1 });
+  assert.deepStrictEqual(await fns.getUserById(id), { id, name: 'Lee', email: 'me@leander.ca', version: 2 });
+  await db.close();
+});
+
+test('checks the version when upserting an existing row', async () => {
+  const { db, fns } = await setup();
+  const id = await fns.upsertUserByEmail('me@leander.ca', { name: 'Leander' });
+  await assert.rejects(fns.upsertUserByEmail('me@leander.ca', { name: 'Lee' }), ({ errors }) => errors[0].code === 'version_required');
+  assert.strictEqual(await fns.upsertUserByEmail('me@leander.ca', { name: 'Lee', version: 1 }), id);
+  await assert.rejects(fns.upsertUserByEmail('me@leander.ca', { name: 'Leo', version: 1 }), models.StaleObjectError);
+  assert.deepStrictEqual(await fns.getUserById(id), { id, name: 'Lee', email: 'me@leander.ca', version: 2 });
+  await db.close();
+});
+
+test('leaves out updates of many rows by a query', async () => {
+  const { db, fns } = await setup();
+  assert.strictEqual(fns.updateUsersByName, undefined);
+  assert.strictEqual(typeof fns.updateUsersById, 'function');
+  await db.close();
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const models = require('..');
+const sqlite = require('../sqlite');
+
+const User = {
+  name: 'User',
+  fields: {
+    id: { type: 'id' },
+    name: { type: 'text' },
+    age: { type: 'number' },
+    role: { type: 'text' },
+  },
+  indices: [{ type: 'tree', fields: ['role'] }],
+  views: {
+    public: { fields: ['id', 'name'], sort: ['name'] },
+    adults: { filters: [{ prop: 'age', op: '>=', value: 18 }], sort: ['age DESC'], limit: 2 },
+  },
+};
+
+async function setup() {
+  const db = sqlite.connect();
+  const { fns } = await models.init({ models: [User], db, dialect: 'sqlite' });
+  await fns.ensureAllTables();
+  const ids = await fns.createUsers([
+    { name: 'Cy', age: 70, role: 'user' },
+    { name: 'Ada', age: 12, role: 'admin' },
+    { name: 'Bob', age: 40, role: 'admin' },
+    { name: 'Dee', age: 30, role: 'user' },
+  ]);
+  return { db, fns, ids };
+}
+
+test('gets the fields and sort of a view', async () => {
+  const { db, fns, ids } = await setup();
+  const expected = [{ id: ids[1], name: 'Ada' }, { id: ids[2], name: 'Bob' }, { id: ids[0], name: 'Cy' }, { id: ids[3], name: 'Dee' }];
+  assert.deepStrictEqual(await fns.getPublicUsers(), expected);
+  assert.deepStrictEqual(await fns.getUsers({ view: 'public' }), expected);
+  assert.deepStrictEqual(await fns.getPublicUsersByRole('admin'), expected.slice(0, 2));
+  assert.deepStrictEqual(await fns.getPublicUsers({ fields: ['name'], sort: ['name DESC'], limit: 1 }), [{ name: 'Dee' }]);
+  await db.close();
+});
+
+test('adds the filters of a view to the given ones', async () => {
+  const { db, fns } = await setup();
+  const getNames = async viewOptions => (await fns.getAdultsUsers(viewOptions)).map(({ name }) => name);
+  assert.deepStrictEqual(await getNames(), ['Cy', 'Bob']);
+  assert.deepStrictEqual(await getNames({ limit: 10 }), ['Cy', 'Bob', 'Dee']);
+  assert.deepStrictEqual(await getNames({ filters: [{ prop: 'role', value: 'user' }] }), ['Cy', 'Dee']);
+  assert.deepStrictEqual(await getNames({ filters: [{ prop: 'age', op: '<', value: 18 }] }), []);
+  assert.strictEqual(await fns.countAdultsUsers(), 3);
+  assert.strictEqual(await fns.countUsers({ view: 'adults', filters: [{ prop: 'role', value: 'admin' }] }), 1);
+  await db.close();
+});
+
+test('rejects unknown views', async () => {
+  const { db, fns } = await setup();
+  await assert.rejects(fns.getUsers({ view: 'private' }), /unknown_view_private/);
+  await assert.rejects(fns.countUsers({ view: 'private' }), /unknown_view_private/);
+  await db.close();
+});
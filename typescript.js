@@ -0,0 +1,180 @@
+const _ = require('lodash');
+const { init, Types, getModel } = require('./index');
+
+// TypeScript types of the readable types of the built-in fields.
+const TS_TYPES = {
+  string: 'string',
+  email: 'string',
+  int: 'number',
+  number: 'number',
+  boolean: 'boolean',
+  Date: 'Date',
+  json: 'any',
+};
+
+const HEADER = `// Generated by ctl-models, do not edit.
+
+export type Conn = any;
+
+export interface Filter {
+  prop: string;
+  op: string;
+  value?: any;
+}
+
+export interface CountOptions {
+  view?: string;
+  filters?: Filter[];
+  withDeleted?: boolean;
+  onlyDeleted?: boolean;
+}
+
+export interface ViewOptions<T, F extends keyof T = keyof T> extends CountOptions {
+  fields?: F[];
+  sort?: string[];
+  limit?: number;
+  offset?: number;
+  include?: string[];
+  first?: number;
+  after?: string;
+}
+
+export interface Page<T> {
+  items: T[];
+  pageInfo: {
+    endCursor: string | null;
+    hasNextPage: boolean;
+  };
+}
+`;
+
+function getDocComment(description, indent) {
+  if (!description) return [];
+  return [`${indent}/** ${description.replace(/\*\//g, '* /')} */`];
+}
+
+// Readable types like "[string]" or "object{id, phase}" are turned into TypeScript types,
+// and anything unknown (like the readable type of a custom field) is "any".
+function getReadableTsType(readableType = '', getModelType) {
+  const arrayMatch = readableType.match(/^\[(.*)\]$/);
+  if (arrayMatch) return `${getReadableTsType(arrayMatch[1], getModelType)}[]`;
+  const objectMatch = readableType.match(/^object\{(.*)\}$/);
+  if (objectMatch) {
+    const props = objectMatch[1].split(',').map(prop => prop.trim()).filter(prop => prop);
+    return `{ ${props.map(prop => `${prop}?: any;`).join(' ')} }`;
+  }
+  const enumMatch = readableType.match(/^enum\{(.*)\}$/);
+  if (enumMatch) {
+    return enumMatch[1].split(',').map(value => JSON.stringify(value.trim())).join(' | ');
+  }
+  return TS_TYPES[readableType] || getModelType(readableType) || 'any';
+}
+
+function getFieldTsType(field, getModelType) {
+  if (field instanceof Types.object) {
+    const props = Object.keys(field.fields).map((subProp) => {
+      const subField = field.fields[subProp];
+      return `${subProp}: ${getFieldTsType(subField, getModelType)}${subField.isNullable() ? ' | null' : ''};`;
+    });
+    return `{ ${props.join(' ')} }`;
+  }
+  if (field instanceof Types.enum) {
+    return field.values.map(value => JSON.stringify(value)).join(' | ');
+  }
+  return getReadableTsType(field.getReadableType(), getModelType);
+}
+
+function getModelInterfaces(model, getModelType) {
+  const { singularTitle } = model.names;
+  const props = Object.keys(model.fields);
+  const lines = [`export interface ${singularTitle} {`];
+  props.forEach((prop) => {
+    const field = model.fields[prop];
+    lines.push(...getDocComment(field.description, '  '));
+    lines.push(`  ${prop}: ${getFieldTsType(field, getModelType)}${field.isNullable() ? ' | null' : ''};`);
+  });
+  lines.push('}', '', `export interface ${singularTitle}Input {`);
+  _.difference(props, model.autoProps).forEach((prop) => {
+    const field = model.fields[prop];
+    const optional = (!field.isRequired() || field instanceof Types.id);
+    lines.push(...getDocComment(field.description, '  '));
+    lines.push(`  ${prop}${optional ? '?' : ''}: ${getFieldTsType(field, getModelType)}${optional ? ' | null' : ''};`);
+  });
+  lines.push('}');
+  return lines;
+}
+
+function getFnSignatures(fnName, fnInfo, models, getModelType) {
+  const { args = [], returns, description } = fnInfo;
+  const modelType = (fnInfo.model ? getModelType(fnInfo.model) : null);
+  const idType = (modelType && models[fnInfo.model].fields.id ? `${modelType}['id']` : 'any');
+  // Updates of versioned rows need the version they are expected to be at.
+  const versioned = (modelType && models[fnInfo.model].versioned);
+  const updateType = (modelType ? `Partial<${modelType}Input>${versioned ? ' & { version: number }' : ''}` : 'any');
+  // Functions that return rows are generic over the fields fetched, so that the rows only have those fields.
+  const returnsType = (returns ? returns.type.replace(/^\[(.*)\]$/, '$1') : '');
+  const returnsList = (returns && returns.type !== returnsType);
+  const returnsModel = getModelType(returnsType);
+  const rowType = (returnsModel ? `Pick<${returnsModel}, F>` : null);
+  const getArgType = (arg) => {
+    switch (arg.name) {
+      case 'id': return idType;
+      case 'fields': return (returnsModel ? 'F[]' : 'string[]');
+      case 'viewOptions': return (returnsModel ? `ViewOptions<${returnsModel}, F>` : 'CountOptions');
+      case 'createObj': return `${modelType}Input`;
+      case 'createObjs': return `${modelType}Input[]`;
+      case 'updateObj': return updateType;
+      case 'upsertObj': return `Partial<${modelType}Input>${versioned ? ' & { version?: number }' : ''}`;
+      case 'updateObjs': return `Array<${updateType} & { id: ${idType} }>`;
+      default: break;
+    }
+    if (arg.values) return arg.values.map(value => JSON.stringify(value)).join(' | ');
+    return getReadableTsType(arg.type, getModelType);
+  };
+  let returnType = 'void';
+  if (returnsModel) {
+    returnType = (returnsList ? `${rowType}[]` : rowType);
+  } else if (returns) {
+    returnType = getReadableTsType(returns.type, getModelType);
+  }
+  if (returns && returns.nullable) returnType = `${returnType} | null`;
+  const generic = (returnsModel ? `<F extends keyof ${returnsModel} = keyof ${returnsModel}>` : '');
+  const params = args.map((arg) => {
+    const optional = (arg.default !== undefined || /^object\{/.test(arg.type));
+    return `${arg.name}${optional ? '?' : ''}: ${getArgType(arg)}`;
+  });
+  const pageable = (returnsModel && returnsList && args.some(arg => arg.name === 'viewOptions'));
+  const lines = [];
+  [fnName, `${fnName}WithConn`].forEach((name) => {
+    const connParams = (name === fnName ? params : ['conn: Conn', ...params]);
+    lines.push(...getDocComment(description, '  '));
+    if (pageable) {
+      const pageParams = connParams.map(param => param.replace(/^viewOptions\?: (.*)$/, 'viewOptions: $1 & ({ first: number } | { after: string })'));
+      lines.push(`  ${name}${generic}(${pageParams.join(', ')}): Promise<Page<${rowType}>>;`);
+    }
+    lines.push(`  ${name}${generic}(${connParams.join(', ')}): Promise<${returnType}>;`);
+  });
+  return lines;
+}
+
+// Returns the contents of a .d.ts file with an interface for each model (and one for the
+// objects passed to create and update them), and a Fns interface with all the functions.
+exports.getTypeDeclarations = async (opts = {}) => {
+  const { index, models } = await init({ ...opts, db: null });
+  const getModelType = (ref) => {
+    const model = getModel(models, ref);
+    return (model ? model.names.singularTitle : null);
+  };
+  const lines = [HEADER];
+  Object.keys(models).forEach((singularTitle) => {
+    lines.push(...getModelInterfaces(models[singularTitle], getModelType), '');
+  });
+  lines.push('export interface Fns {');
+  Object.keys(index).forEach((category) => {
+    Object.keys(index[category]).forEach((fnName) => {
+      lines.push(...getFnSignatures(fnName, index[category][fnName], models, getModelType));
+    });
+  });
+  lines.push('}', '');
+  return lines.join('\n');
+};